@@ -0,0 +1,16 @@
+/**
+ * App configuration
+ * Deployment-specific values shared by every page
+ */
+const APP_CONFIG = {
+    appName: 'WordJam',
+    baseUrl: 'https://wordslide.online/',
+    launchDate: '2026-01-01', // Date of puzzle #1 (YYYY-MM-DD)
+    rollover: 'local', // When a new puzzle starts: 'local' (each player's midnight) or 'utc' (same moment worldwide)
+    // Puzzle sources, tried in order (see puzzle-providers.js):
+    // 'custom' (?puzzle= link), 'firestore', 'static' (JSON files), 'cache' (offline copy), 'generated' (seeded)
+    puzzleProviders: ['custom', 'firestore', 'cache', 'generated'],
+    staticPuzzlePath: 'puzzles/', // Folder with YYYY-MM-DD.json files for the 'static' provider
+    prefetchDays: 3, // Upcoming puzzles fetched ahead of time for offline play
+    leaderboardSize: 10 // Best daily results listed on the completion page (0 shows only the percentile)
+};
@@ -0,0 +1,91 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const monthLabel = document.getElementById('calendar-month');
+    const grid = document.getElementById('calendar-grid');
+    const prevBtn = document.getElementById('prev-month-btn');
+    const nextBtn = document.getElementById('next-month-btn');
+
+    const todayKey = puzzleCalendar.getToday();
+    const [startYear, startMonth] = APP_CONFIG.launchDate.split('-').map(Number);
+    const [todayYear, todayMonth] = todayKey.split('-').map(Number);
+    let viewYear = todayYear;
+    let viewMonth = todayMonth - 1;
+
+    // Where a day links to: finished days show their result, others open the game
+    function getDayUrl(dateKey, status) {
+        if (dateKey === todayKey) {
+            return status === 'completed' ? 'completion.html' : 'game.html';
+        }
+        return status === 'completed'
+            ? `completion.html?date=${dateKey}`
+            : `game.html?date=${dateKey}`;
+    }
+
+    function renderCalendar() {
+        const firstOfMonth = new Date(viewYear, viewMonth, 1);
+        const daysInMonth = new Date(viewYear, viewMonth + 1, 0).getDate();
+
+        monthLabel.textContent = firstOfMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+        // Clear grid safely
+        while (grid.firstChild) {
+            grid.removeChild(grid.firstChild);
+        }
+
+        // Leading blanks so the 1st lands on its weekday (weeks start on Monday)
+        const leading = (firstOfMonth.getDay() + 6) % 7;
+        for (let i = 0; i < leading; i++) {
+            const blank = document.createElement('span');
+            blank.className = 'calendar-day empty';
+            grid.appendChild(blank);
+        }
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateKey = PuzzleHistory.formatDate(new Date(viewYear, viewMonth, day));
+            const playable = dateKey >= APP_CONFIG.launchDate && dateKey <= todayKey;
+            const status = puzzleHistory.getStatus(dateKey);
+
+            const cell = document.createElement(playable ? 'a' : 'span');
+            cell.className = 'calendar-day';
+            cell.textContent = day;
+
+            if (playable) {
+                cell.href = getDayUrl(dateKey, status);
+                cell.classList.add(status);
+                cell.setAttribute('aria-label', `${dateKey}: ${status.replace('-', ' ')}`);
+            } else {
+                cell.classList.add('disabled');
+            }
+
+            if (dateKey === todayKey) {
+                cell.classList.add('today');
+            }
+
+            grid.appendChild(cell);
+        }
+
+        // Don't page before the first puzzle or past the current month
+        prevBtn.disabled = viewYear < startYear || (viewYear === startYear && viewMonth <= startMonth - 1);
+        nextBtn.disabled = viewYear > todayYear
+            || (viewYear === todayYear && viewMonth >= todayMonth - 1);
+    }
+
+    prevBtn.addEventListener('click', () => {
+        viewMonth--;
+        if (viewMonth < 0) {
+            viewMonth = 11;
+            viewYear--;
+        }
+        renderCalendar();
+    });
+
+    nextBtn.addEventListener('click', () => {
+        viewMonth++;
+        if (viewMonth > 11) {
+            viewMonth = 0;
+            viewYear++;
+        }
+        renderCalendar();
+    });
+
+    renderCalendar();
+});
@@ -1,31 +1,246 @@
 document.addEventListener('DOMContentLoaded', () => {
+    // Archive results carry their puzzle date (?date=YYYY-MM-DD)
+    const archiveDate = new URLSearchParams(window.location.search).get('date');
+    const archiveRecord = archiveDate ? puzzleHistory.getRecord(archiveDate) : null;
+    const isArchive = archiveRecord !== null && archiveRecord.status === 'completed';
+    const resultDate = isArchive ? archiveDate : puzzleCalendar.getToday();
+    const resultRecord = isArchive ? archiveRecord : puzzleHistory.getRecord(resultDate);
+
     // Get and display reset count (tries)
-    const resetCount = localStorage.getItem('completedResetCount');
+    const resetCount = resultRecord ? resultRecord.tries : null;
     const triesMessage = document.getElementById('tries-message');
     let tries = 1;
-    if (resetCount !== null) {
+    if (resetCount !== null && resetCount !== undefined) {
         tries = parseInt(resetCount, 10);
         triesMessage.textContent = ` in ${tries} ${tries === 1 ? 'try' : 'tries'}`;
     } else {
         triesMessage.textContent = ' in 1 try';
     }
 
-    // Function to get share text
-    function getShareText() {
-        return `I have completed today's WordJam puzzle in ${tries} ${tries === 1 ? 'try' : 'tries'} https://chipdoes.app/playwordjam/`;
+    // Mark archive results clearly so they aren't mistaken for today's
+    if (isArchive) {
+        const [year, month, day] = archiveDate.split('-').map(Number);
+        const formattedDate = new Date(year, month - 1, day).toLocaleDateString(undefined, {
+            month: 'long',
+            day: 'numeric',
+            year: 'numeric'
+        });
+        document.getElementById('archive-badge').classList.add('show');
+        document.getElementById('puzzle-name').textContent = `the ${formattedDate} archive puzzle`;
+    }
+
+    // Statistics panel
+    function renderStats() {
+        const stats = puzzleHistory.getStatistics(puzzleCalendar.getToday());
+        document.getElementById('stat-played').textContent = stats.gamesPlayed;
+        document.getElementById('stat-completion-rate').textContent = stats.completionRate;
+        document.getElementById('stat-current-streak').textContent = stats.currentStreak;
+        document.getElementById('stat-longest-streak').textContent = stats.longestStreak;
+
+        // Tries histogram, highlighting the bucket of the result being shown
+        const histogram = document.getElementById('tries-histogram');
+        histogram.textContent = '';
+        const maxCount = Math.max(...stats.triesDistribution, 1);
+        const lastBucket = stats.triesDistribution.length;
+        const currentBucket = Math.min(Math.max(tries, 1), lastBucket);
+
+        stats.triesDistribution.forEach((count, index) => {
+            const bucket = index + 1;
+            const row = document.createElement('div');
+            row.className = 'histogram-row';
+
+            const label = document.createElement('span');
+            label.className = 'histogram-label';
+            label.textContent = bucket === lastBucket ? `${bucket}+` : String(bucket);
+
+            const bar = document.createElement('span');
+            bar.className = 'histogram-bar';
+            if (bucket === currentBucket) {
+                bar.classList.add('current');
+            }
+            bar.style.width = `${Math.max(8, (count / maxCount) * 100)}%`;
+            bar.textContent = count;
+
+            row.appendChild(label);
+            row.appendChild(bar);
+            histogram.appendChild(row);
+        });
+    }
+
+    renderStats();
+
+    // Daily leaderboard: the result is submitted once, then compared with everyone else's
+    // (archive results, including puzzles finished after their day, stay out of it)
+    async function showLeaderboard() {
+        if (!leaderboard.isAvailable() || isArchive || !resultRecord ||
+            resultRecord.status !== 'completed' || resultRecord.archive) {
+            return;
+        }
+
+        try {
+            const { uid, tries: submittedTries } = await leaderboard.submit(resultDate, resultRecord);
+            const { summary, top } = await leaderboard.load(resultDate);
+
+            const { others, percent } = leaderboard.getPercentile(summary, submittedTries);
+            document.getElementById('leaderboard-percentile').textContent = others > 0
+                ? `You finished in fewer tries than ${percent}% of players`
+                : 'You are the first player to finish today';
+
+            const list = document.getElementById('leaderboard-list');
+            list.textContent = '';
+            top.forEach(entry => {
+                const item = document.createElement('li');
+                item.className = 'leaderboard-entry';
+                if (entry.uid === uid) {
+                    item.classList.add('current');
+                }
+
+                const name = document.createElement('span');
+                name.className = 'leaderboard-name';
+                name.textContent = entry.uid === uid ? 'You' : 'Player';
+
+                const result = document.createElement('span');
+                result.className = 'leaderboard-result';
+                result.textContent = `${entry.tries} ${entry.tries === 1 ? 'try' : 'tries'} · ${shareBuilder.formatTime(entry.time)}`;
+
+                item.appendChild(name);
+                item.appendChild(result);
+                list.appendChild(item);
+            });
+
+            document.getElementById('leaderboard-panel').classList.add('show');
+        } catch (error) {
+            // Offline or Firebase unreachable: the page works without it
+            console.error('Leaderboard unavailable:', error);
+        }
     }
 
-    // Share button - share to X/Twitter
-    document.getElementById('share-btn').addEventListener('click', () => {
-        const message = `I have completed today's WordJam puzzle in ${tries} ${tries === 1 ? 'try' : 'tries'}`;
-        const url = 'https://chipdoes.app/playwordjam/';
-        const twitterUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(message)}&url=${encodeURIComponent(url)}`;
+    showLeaderboard();
+
+    // Live countdown to the next puzzle, then a link to it
+    const nextPuzzle = document.getElementById('next-puzzle');
+    const countdown = document.getElementById('next-puzzle-countdown');
+    const nextRollover = puzzleCalendar.getNextRollover();
+    function updateCountdown() {
+        const remaining = nextRollover.getTime() - Date.now();
+        if (remaining > 0) {
+            countdown.textContent = PuzzleCalendar.formatCountdown(remaining);
+            return;
+        }
+
+        clearInterval(countdownTimer);
+        const link = document.createElement('a');
+        link.href = 'game.html';
+        link.className = 'archive-link';
+        link.textContent = `Puzzle #${puzzleCalendar.getPuzzleNumber(puzzleCalendar.getToday())} is ready. Play now`;
+        nextPuzzle.textContent = '';
+        nextPuzzle.appendChild(link);
+    }
+    const countdownTimer = setInterval(updateCountdown, 1000);
+    updateCountdown();
+
+    // Spoiler-free share payload built from the stored result
+    const shareResult = {
+        date: resultDate,
+        archive: isArchive,
+        tries,
+        time: resultRecord ? resultRecord.time : 0,
+        tryTime: resultRecord ? resultRecord.tryTime : 0,
+        sequence: resultRecord && Array.isArray(resultRecord.sequence) ? resultRecord.sequence : [],
+        powerUps: resultRecord ? resultRecord.powerUps : null,
+        undos: resultRecord ? resultRecord.undos : 0
+    };
+    const sharePayload = shareBuilder.buildPayload(shareResult);
+    document.getElementById('share-preview').textContent = sharePayload.text;
+
+    // Time on the puzzle (total across tries, and the winning try)
+    if (shareResult.time > 0) {
+        const timeMessage = document.getElementById('time-message');
+        timeMessage.textContent = `Time: ${shareBuilder.describeTime(shareResult)}`;
+        timeMessage.classList.add('show');
+    }
+
+    // Note any power-ups used on this puzzle
+    const powerUpsUsed = shareBuilder.describePowerUps(shareResult.powerUps);
+    if (powerUpsUsed) {
+        const powerUpsMessage = document.getElementById('power-ups-message');
+        powerUpsMessage.textContent = `Power-ups used: ${powerUpsUsed}`;
+        powerUpsMessage.classList.add('show');
+    }
+
+    // Open the X/Twitter intent (used when the native share sheet isn't available)
+    function shareToTwitter() {
+        const twitterUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(sharePayload.message)}&url=${encodeURIComponent(sharePayload.url)}`;
         window.open(twitterUrl, '_blank', 'width=550,height=420');
+    }
+
+    // Share button - native share sheet when available, X/Twitter otherwise
+    document.getElementById('share-btn').addEventListener('click', async () => {
+        if (!navigator.share) {
+            shareToTwitter();
+            return;
+        }
+        try {
+            await navigator.share({
+                title: sharePayload.title,
+                text: sharePayload.message,
+                url: sharePayload.url
+            });
+        } catch (err) {
+            // Closing the share sheet isn't an error
+            if (err.name !== 'AbortError') {
+                console.error('Native share failed:', err);
+                shareToTwitter();
+            }
+        }
+    });
+
+    // Save the rendered card as a PNG download
+    function downloadShareCard(file) {
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Image button - attach the card through the share sheet, or download it where files can't be shared
+    const shareImageBtn = document.getElementById('share-image-btn');
+    const canShareFiles = ShareCard.canShareFiles();
+    shareImageBtn.querySelector('.btn-label').textContent = canShareFiles ? 'Share image' : 'Download image';
+    shareImageBtn.addEventListener('click', async () => {
+        shareImageBtn.disabled = true;
+        try {
+            const file = await shareCard.toFile(shareResult);
+            if (canShareFiles && navigator.canShare({ files: [file] })) {
+                try {
+                    await navigator.share({
+                        files: [file],
+                        title: sharePayload.title,
+                        text: sharePayload.text
+                    });
+                } catch (err) {
+                    if (err.name !== 'AbortError') {
+                        console.error('Sharing the image failed:', err);
+                        downloadShareCard(file);
+                    }
+                }
+            } else {
+                downloadShareCard(file);
+            }
+        } catch (err) {
+            console.error('Failed to create share image:', err);
+        } finally {
+            shareImageBtn.disabled = false;
+        }
     });
 
     // Copy button - copy share text to clipboard
     document.getElementById('copy-btn').addEventListener('click', async () => {
-        const shareText = getShareText();
+        const shareText = sharePayload.text;
         try {
             await navigator.clipboard.writeText(shareText);
             // Show feedback
@@ -59,24 +274,20 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Reset button - clear all found words and reset count, then redirect to game
+    // Reset button - clear this puzzle's progress, then redirect to game
     document.getElementById('reset-btn').addEventListener('click', () => {
-        // Clear completed words and reset count
-        localStorage.removeItem('completedWords');
-        localStorage.removeItem('completedResetCount');
-        
-        // Clear all found words storage keys (they start with 'wordjam_foundWords_')
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith('wordjam_foundWords_')) {
-                keysToRemove.push(key);
-            }
+        // Only this result's puzzle is reset; other days keep their progress
+        storage.remove(storage.dayKey('progress', resultDate));
+        storage.remove(storage.dayKey('gameState', resultDate));
+
+        // Archive results also drop their record so the day can be replayed
+        if (isArchive) {
+            puzzleHistory.removeRecord(archiveDate);
+            window.location.href = `game.html?date=${archiveDate}`;
+            return;
         }
-        keysToRemove.forEach(key => localStorage.removeItem(key));
-        
+
         // Redirect to game page
         window.location.href = 'game.html';
     });
 });
-
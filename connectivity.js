@@ -0,0 +1,79 @@
+/**
+ * Network reachability
+ * navigator.onLine only reports whether there is a network interface, so this
+ * pings the site itself to find out whether the server can actually be reached
+ */
+class Connectivity {
+    constructor() {
+        this.online = typeof navigator === 'undefined' || navigator.onLine !== false;
+        this.listeners = [];
+        this.watching = false;
+        this.TIMEOUT_MS = 4000;
+    }
+
+    /**
+     * Check whether the server is reachable
+     * @returns {Promise<boolean>}
+     */
+    async check() {
+        let reachable = false;
+
+        if (navigator.onLine !== false) {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), this.TIMEOUT_MS) : null;
+            try {
+                // The reachability parameter makes the service worker pass this through to the network
+                const response = await fetch(`manifest.json?reachability=${Date.now()}`, {
+                    method: 'HEAD',
+                    cache: 'no-store',
+                    signal: controller ? controller.signal : undefined
+                });
+                reachable = response.ok;
+            } catch (error) {
+                reachable = false;
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+        }
+
+        this.setOnline(reachable);
+        return reachable;
+    }
+
+    /**
+     * Update the state and notify listeners when it changes
+     */
+    setOnline(online) {
+        const changed = online !== this.online;
+        this.online = online;
+        if (changed) {
+            this.listeners.forEach(listener => listener(online));
+        }
+    }
+
+    /**
+     * Register a listener called with the new state whenever it changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Re-check whenever the browser reports a network change
+     */
+    watch() {
+        if (this.watching) return;
+        this.watching = true;
+
+        window.addEventListener('online', () => {
+            this.check();
+        });
+
+        window.addEventListener('offline', () => {
+            this.setOnline(false);
+        });
+    }
+}
+
+// Create global connectivity instance
+const connectivity = new Connectivity();
@@ -0,0 +1,114 @@
+/**
+ * Dictionary worker
+ * Gets the packed dictionary off the main thread: from IndexedDB when the stored copy matches the
+ * header of dictionary.bin, otherwise from dictionary.bin (packed here from dictionary.txt if that's
+ * missing), then stores it for next time. The buffer is transferred to the page, which reads it in place.
+ *
+ * Message in: { packedUrl, textUrl }; out: { buffer } or { error }
+ */
+importScripts('packed-dictionary.js');
+
+// Its own database, so it never has to agree on versions with PuzzleCache's "wordjam"
+const DB_NAME = 'wordjam-dictionary';
+const STORE_NAME = 'dictionary';
+const CACHE_KEY = 'packed';
+
+/**
+ * Open the database, creating the store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Stored buffer, if there's a usable one
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+async function readCache(db) {
+    const entry = await new Promise((resolve, reject) => {
+        const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(CACHE_KEY);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    if (!entry || !(entry.buffer instanceof ArrayBuffer)) {
+        return null;
+    }
+    new PackedDictionary(entry.buffer); // Throws if the stored copy is damaged or of an older format
+    return entry.buffer;
+}
+
+/**
+ * Store a buffer (replacing any older one)
+ */
+function writeCache(db, buffer) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put({ buffer }, CACHE_KEY);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * The current packed dictionary, reusing the stored copy while dictionary.bin holds the same words
+ * Only the header is requested first; a server that ignores the range sends the whole file,
+ * which is used as it is
+ * @param {ArrayBuffer|null} cached
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchCurrent(packedUrl, textUrl, cached) {
+    if (cached) {
+        let response;
+        try {
+            response = await fetch(packedUrl, { headers: { Range: `bytes=0-${PACKED_FORMAT.HEADER_WORDS * 4 - 1}` } });
+        } catch (error) {
+            // Offline: the stored copy is the newest there is
+            return cached;
+        }
+
+        if (response.ok) {
+            const received = await response.arrayBuffer();
+            if (PackedDictionary.contentId(received) === PackedDictionary.contentId(cached)) {
+                return cached;
+            }
+            if (response.status === 200) {
+                try {
+                    new PackedDictionary(received); // Throws if the file isn't usable
+                    return received;
+                } catch (error) {
+                    console.warn(`Packed dictionary unusable (${error.message})`);
+                }
+            }
+        }
+    }
+    return PackedDictionary.fetchBuffer(packedUrl, textUrl);
+}
+
+self.onmessage = async (event) => {
+    const { packedUrl, textUrl } = event.data;
+    try {
+        // IndexedDB is optional (e.g. blocked in private browsing)
+        let db = null;
+        let cached = null;
+        try {
+            db = await openDatabase();
+            cached = await readCache(db);
+        } catch (error) {
+            console.warn('Dictionary cache unavailable:', error);
+        }
+
+        const buffer = await fetchCurrent(packedUrl, textUrl, cached);
+        if (db && buffer !== cached) {
+            await writeCache(db, buffer).catch(error => console.warn('Could not cache dictionary:', error));
+        }
+        self.postMessage({ buffer }, [buffer]);
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
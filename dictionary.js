@@ -1,15 +1,25 @@
 /**
  * Dictionary loader and word validation
- * Loads words from dictionary.txt and organizes them by length
+ * Words come from dictionary.bin, the packed form of dictionary.txt (tools/build-dictionary.js),
+ * loaded by dictionary-worker.js off the main thread and cached in IndexedDB, then read in
+ * place through PackedDictionary
+ * Common words (common-words.txt, most frequent first) are loaded on demand
+ * for generated puzzles
  */
 class Dictionary {
     constructor() {
-        this.wordsByLength = new Map();
+        this.packed = null; // PackedDictionary
+        this.wordLists = new Map(); // Length -> words, listed from the packed dictionary on first use
         this.loaded = false;
+        this.commonWordsByLength = new Map();
+        this.commonRanks = new Map(); // Word -> position in its length's common list (0 = most frequent)
+        this.commonLoaded = false;
+        this.PACKED_URL = 'dictionary.bin';
+        this.TEXT_URL = 'dictionary.txt'; // Packed on the fly if dictionary.bin is missing
     }
 
     /**
-     * Load dictionary from dictionary.txt file
+     * Load the packed dictionary
      */
     async load() {
         if (this.loaded) {
@@ -17,35 +27,116 @@ class Dictionary {
         }
 
         try {
-            const response = await fetch('dictionary.txt');
+            this.packed = new PackedDictionary(await this.loadPacked());
+            this.loaded = true;
+            console.log(`Dictionary loaded: ${this.packed.wordCount} words`);
+            return Promise.resolve();
+        } catch (error) {
+            console.error('Error loading dictionary:', error);
+            // Fallback to basic words
+            this._loadFallbackWords();
+            return Promise.resolve();
+        }
+    }
+
+    /**
+     * Packed dictionary buffer, from the worker where there is one (browsers) or fetched
+     * on this thread otherwise (the Node tools, or if the worker can't start)
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async loadPacked() {
+        if (typeof Worker !== 'undefined') {
+            try {
+                return await new Promise((resolve, reject) => {
+                    const worker = new Worker('dictionary-worker.js');
+                    worker.onmessage = (event) => {
+                        worker.terminate();
+                        if (event.data.error) {
+                            reject(new Error(event.data.error));
+                        } else {
+                            resolve(event.data.buffer);
+                        }
+                    };
+                    worker.onerror = (event) => {
+                        worker.terminate();
+                        reject(new Error(event.message || 'Dictionary worker failed'));
+                    };
+                    worker.postMessage({ packedUrl: this.PACKED_URL, textUrl: this.TEXT_URL });
+                });
+            } catch (error) {
+                console.warn('Dictionary worker failed, loading on the page:', error);
+            }
+        }
+        return PackedDictionary.fetchBuffer(this.PACKED_URL, this.TEXT_URL);
+    }
+
+    /**
+     * Load the common word list from common-words.txt
+     * Only words that are also in the main dictionary are kept
+     */
+    async loadCommonWords() {
+        if (this.commonLoaded) {
+            return;
+        }
+
+        await this.load();
+
+        try {
+            const response = await fetch('common-words.txt');
             if (!response.ok) {
-                throw new Error(`Failed to load dictionary: ${response.status}`);
+                throw new Error(`Failed to load common words: ${response.status}`);
             }
 
             const text = await response.text();
             const words = text
                 .split('\n')
                 .map(word => word.trim().toUpperCase())
-                .filter(word => word.length > 0);
+                .filter(word => word.length > 0 && this.isValidWord(word));
 
-            // Organize words by length
+            // Keep file order (most frequent first) within each length
             for (const word of words) {
                 const length = word.length;
-                if (!this.wordsByLength.has(length)) {
-                    this.wordsByLength.set(length, new Set());
+                if (!this.commonWordsByLength.has(length)) {
+                    this.commonWordsByLength.set(length, []);
+                }
+                const list = this.commonWordsByLength.get(length);
+                if (!this.commonRanks.has(word)) {
+                    this.commonRanks.set(word, list.length);
+                    list.push(word);
                 }
-                this.wordsByLength.get(length).add(word);
             }
 
-            this.loaded = true;
-            console.log(`Dictionary loaded: ${words.length} words`);
-            return Promise.resolve();
+            console.log(`Common words loaded: ${words.length} words`);
         } catch (error) {
-            console.error('Error loading dictionary:', error);
-            // Fallback to basic words
-            this._loadFallbackWords();
-            return Promise.resolve();
+            console.error('Error loading common words:', error);
+        }
+
+        this.commonLoaded = true;
+    }
+
+    /**
+     * Get common words of a specific length, most frequent first
+     * Falls back to the full dictionary if the common list is unavailable
+     */
+    commonWordsOfLength(length) {
+        const words = this.commonWordsByLength.get(length);
+        if (words && words.length > 0) {
+            return [...words];
+        }
+        return this.wordsOfLength(length);
+    }
+
+    /**
+     * How rare a word is among common words of its length
+     * @returns {number} 0 for the most frequent word up to 1 for words missing from the common list
+     */
+    wordRarity(word) {
+        const upper = word.toUpperCase();
+        const list = this.commonWordsByLength.get(upper.length);
+        if (!this.commonRanks.has(upper) || !list || list.length === 0) {
+            return 1;
         }
+        return this.commonRanks.get(upper) / list.length;
     }
 
     /**
@@ -60,43 +151,45 @@ class Dictionary {
             'ELEPHANT', 'GIRAFFE', 'PENGUIN', 'DOLPHIN'
         ];
 
-        for (const word of fallbackWords) {
-            const length = word.length;
-            if (!this.wordsByLength.has(length)) {
-                this.wordsByLength.set(length, new Set());
-            }
-            this.wordsByLength.get(length).add(word);
-        }
-
+        this.packed = new PackedDictionary(PackedDictionary.build(fallbackWords));
+        this.wordLists.clear();
         this.loaded = true;
         console.log('Using fallback words');
     }
 
+    /**
+     * Words of a length as a shared array, listed once (callers must not change it)
+     */
+    wordList(length) {
+        if (!this.packed) return [];
+        if (!this.wordLists.has(length)) {
+            this.wordLists.set(length, this.packed.wordsOfLength(length));
+        }
+        return this.wordLists.get(length);
+    }
+
     /**
      * Get all words of a specific length
      */
     wordsOfLength(length) {
-        const words = this.wordsByLength.get(length);
-        return words ? Array.from(words) : [];
+        return [...this.wordList(length)];
     }
 
     /**
      * Check if a word is valid
      */
     isValidWord(word) {
-        if (!word || word.length === 0) return false;
-        const uppercaseWord = word.toUpperCase();
-        const words = this.wordsByLength.get(uppercaseWord.length);
-        return words ? words.has(uppercaseWord) : false;
+        if (!word || word.length === 0 || !this.packed) return false;
+        return this.packed.has(word.toUpperCase());
     }
 
     /**
      * Get a random word of specific length
      */
     randomWord(length) {
-        const words = this.wordsOfLength(length);
-        if (words.length === 0) return null;
-        return words[Math.floor(Math.random() * words.length)];
+        const count = this.packed ? this.packed.countWords(length) : 0;
+        if (count === 0) return null;
+        return this.packed.wordAt(length, Math.floor(Math.random() * count));
     }
 
     /**
@@ -104,8 +197,11 @@ class Dictionary {
      */
     getWordCounts() {
         const counts = {};
-        for (const [length, words] of this.wordsByLength) {
-            counts[length] = words.size;
+        for (let length = 1; this.packed && length <= this.packed.maxLength; length++) {
+            const count = this.packed.countWords(length);
+            if (count > 0) {
+                counts[length] = count;
+            }
         }
         return counts;
     }
@@ -0,0 +1,128 @@
+/**
+ * Puzzle difficulty analyzer
+ * Scores a candidate word set from the grid it produces: how varied each row is, how many
+ * bonus words the grid allows, how rare the words are and how likely a player is to hit a
+ * dead end. Used to pick practice levels and to balance scheduled puzzles.
+ *
+ * Load the dictionary and common words (dictionary.loadCommonWords()) before analyzing.
+ */
+class DifficultyAnalyzer {
+    constructor(dictionary, solver, grids) {
+        this.dictionary = dictionary;
+        this.solver = solver;
+        this.grids = grids;
+        this.WEIGHTS = {
+            deadEndRisk: 0.35,
+            rarity: 0.25,
+            bonusWords: 0.2,
+            rowVariety: 0.2
+        };
+        this.BONUS_WORDS_PER_LEVEL_WORD = 4; // Bonus words per level word that count as a maximal distraction
+        this.LABELS = [
+            { label: 'easy', below: 50 },
+            { label: 'medium', below: 60 },
+            { label: 'hard', below: Infinity }
+        ];
+    }
+
+    /**
+     * Analyze a word set
+     * Row shuffles don't change which words a grid allows, so the result is the same for every try
+     * @param {string[]} words - Level words (same length)
+     * @returns {{rating: number, label: string, wordCount: number, wordLength: number,
+     *            rows: {letters: string, duplicates: number}[], duplicateLetters: number,
+     *            bonusWords: string[], rarity: {word: string, rarity: number}[], averageRarity: number,
+     *            deadEndRisk: number, factors: Object<string, number>}}
+     */
+    analyze(words) {
+        const levelWords = words.map(word => word.toUpperCase());
+        const grid = this.grids.generate(levelWords);
+        const wordLength = Math.max(...levelWords.map(word => word.length));
+
+        // Letters repeated within a row (a row of A, A, B has one duplicate)
+        const rows = grid.map(row => {
+            const letters = row.filter(letter => letter !== ' ');
+            return {
+                letters: letters.join(''),
+                duplicates: letters.length - new Set(letters).size
+            };
+        });
+        const duplicateLetters = rows.reduce((sum, row) => sum + row.duplicates, 0);
+
+        // Valid words that aren't level words
+        const levelSet = new Set(levelWords);
+        const bonusWords = this.solver
+            .solve(grid, { length: wordLength })
+            .filter(word => !levelSet.has(word));
+
+        const rarity = levelWords.map(word => ({ word, rarity: this.round(this.dictionary.wordRarity(word)) }));
+        const averageRarity = rarity.reduce((sum, entry) => sum + entry.rarity, 0) / Math.max(1, rarity.length);
+
+        // Obscure bonus words rarely trip anyone up, so both bonus factors weigh words by how common they are
+        const bonusWeight = bonusWords.reduce((sum, word) => sum + this.getFindWeight(word), 0);
+        const levelWeight = levelWords.reduce((sum, word) => sum + this.getFindWeight(word), 0);
+
+        const factors = {
+            deadEndRisk: bonusWeight + levelWeight > 0 ? bonusWeight / (bonusWeight + levelWeight) : 0,
+            rarity: averageRarity,
+            bonusWords: Math.min(1, bonusWeight / (levelWords.length * this.BONUS_WORDS_PER_LEVEL_WORD)),
+            rowVariety: this.getRowVariety(rows)
+        };
+
+        const rating = Math.round(100 * Object.keys(this.WEIGHTS)
+            .reduce((sum, key) => sum + this.WEIGHTS[key] * factors[key], 0));
+
+        Object.keys(factors).forEach(key => {
+            factors[key] = this.round(factors[key]);
+        });
+
+        return {
+            rating,
+            label: this.getLabel(rating),
+            wordCount: levelWords.length,
+            wordLength,
+            rows,
+            duplicateLetters,
+            bonusWords,
+            rarity,
+            averageRarity: this.round(averageRarity),
+            deadEndRisk: factors.deadEndRisk,
+            factors
+        };
+    }
+
+    /**
+     * How likely a player is to find a word: 1 for the most common words down to 0.1 for rare ones
+     * The dead-end risk is the bonus share of this weight: every row holds exactly one letter per
+     * level word, so spending letters on a bonus word always leaves the level unfinishable until a reset
+     */
+    getFindWeight(word) {
+        return 1 - 0.9 * this.dictionary.wordRarity(word);
+    }
+
+    /**
+     * How many different letters each row offers, from 0 (every letter the same) to 1 (all different)
+     * More distinct letters mean more positions to search in each row
+     */
+    getRowVariety(rows) {
+        const varieties = rows
+            .filter(row => row.letters.length > 1)
+            .map(row => (new Set(row.letters).size - 1) / (row.letters.length - 1));
+        if (varieties.length === 0) return 0;
+        return varieties.reduce((sum, value) => sum + value, 0) / varieties.length;
+    }
+
+    /**
+     * Label for a rating
+     */
+    getLabel(rating) {
+        return this.LABELS.find(entry => rating < entry.below).label;
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+// Create global analyzer instance
+const difficultyAnalyzer = new DifficultyAnalyzer(dictionary, gridSolver, letterGrid);
@@ -5,7 +5,9 @@
 class FirebaseService {
     constructor() {
         this.db = null;
+        this.auth = null;
         this.initialized = false;
+        this.AUTH_EMULATOR_PORT = 9099; // Port of the Auth emulator in firebase.json
     }
 
     /**
@@ -22,6 +24,22 @@ class FirebaseService {
             
             // Initialize Firestore
             this.db = firebase.firestore();
+
+            // Auth is only on pages that sync progress
+            if (typeof firebase.auth === 'function') {
+                this.auth = firebase.auth();
+            }
+
+            // Local testing against the Firestore emulator (never the production project)
+            const emulator = this.getEmulatorHost();
+            if (emulator) {
+                this.db.useEmulator(emulator.host, emulator.port);
+                console.log(`Using Firestore emulator at ${emulator.host}:${emulator.port}`);
+                if (this.auth) {
+                    this.auth.useEmulator(`http://${emulator.host}:${this.AUTH_EMULATOR_PORT}`);
+                }
+            }
+
             this.initialized = true;
             console.log('Firebase initialized successfully');
         } catch (error) {
@@ -30,10 +48,68 @@ class FirebaseService {
         }
     }
 
+    /**
+     * Firestore emulator to use instead of the live database, if any
+     * Only on a local server and only when asked for with ?emulator (localhost:8080)
+     * or ?emulator=host:port
+     * @returns {{host: string, port: number}|null}
+     */
+    getEmulatorHost() {
+        const localHosts = ['localhost', '127.0.0.1'];
+        if (!localHosts.includes(window.location.hostname)) {
+            return null;
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('emulator')) {
+            return null;
+        }
+
+        const [host, port] = (params.get('emulator') || 'localhost:8080').split(':');
+        if (!localHosts.includes(host) || !/^\d+$/.test(port || '')) {
+            console.warn('Ignoring emulator address (use localhost:port)');
+            return null;
+        }
+        return { host, port: Number(port) };
+    }
+
+    /**
+     * Signed-in user, signing in anonymously if there's none yet
+     * The anonymous account is kept by the browser, so the same uid comes back on later visits
+     * @returns {Promise<firebase.User>}
+     */
+    async getUser() {
+        if (!this.initialized) {
+            await this.init();
+        }
+        if (!this.auth) {
+            throw new Error('Firebase Auth is not loaded');
+        }
+
+        // Wait for the saved sign-in to be restored before deciding to create a new account
+        const user = await new Promise(resolve => {
+            const unsubscribe = this.auth.onAuthStateChanged(current => {
+                unsubscribe();
+                resolve(current);
+            });
+        });
+        if (user) {
+            return user;
+        }
+
+        const credential = await this.auth.signInAnonymously();
+        console.log('Signed in anonymously for progress sync');
+        return credential.user;
+    }
+
     /**
      * Get today's date in YYYY-MM-DD format
      */
     getTodayDate() {
+        // The puzzle calendar decides where the day boundary is (UTC or local midnight)
+        if (typeof puzzleCalendar !== 'undefined') {
+            return puzzleCalendar.getToday();
+        }
         const today = new Date();
         const year = today.getFullYear();
         const month = String(today.getMonth() + 1).padStart(2, '0');
@@ -43,52 +119,23 @@ class FirebaseService {
 
     /**
      * Validate and sanitize words array from Firebase
+     * Same rules as every other puzzle source (PuzzleProvider.validateWords in puzzle-providers.js)
      * @param {any} words - Words data from Firebase
      * @returns {string[]|null} Validated array of words or null if invalid
      */
     validateWords(words) {
-        // Check if words is an array
-        if (!Array.isArray(words)) {
-            console.warn('Words data is not an array:', typeof words);
-            return null;
-        }
-
-        // Filter and validate each word
-        const validatedWords = words
-            .filter(word => {
-                // Must be a string
-                if (typeof word !== 'string') {
-                    return false;
-                }
-                
-                // Must contain only letters (A-Z, a-z)
-                if (!/^[A-Za-z]+$/.test(word)) {
-                    return false;
-                }
-                
-                // Must be between 3 and 15 characters (reasonable word length)
-                if (word.length < 3 || word.length > 15) {
-                    return false;
-                }
-                
-                return true;
-            })
-            .map(word => word.toUpperCase()) // Normalize to uppercase
-            .filter((word, index, self) => self.indexOf(word) === index); // Remove duplicates
-
-        // Ensure we have at least some valid words
-        if (validatedWords.length === 0) {
-            console.warn('No valid words found after validation');
-            return null;
-        }
+        return PuzzleProvider.validateWords(words);
+    }
 
-        // Limit to reasonable number of words (prevent DoS)
-        if (validatedWords.length > 20) {
-            console.warn(`Too many words (${validatedWords.length}), limiting to 20`);
-            return validatedWords.slice(0, 20);
+    /**
+     * Keep a local copy of a day's words for offline play
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {string[]} words - Validated words
+     */
+    cacheWords(date, words) {
+        if (typeof puzzleCache !== 'undefined') {
+            puzzleCache.put(date, words);
         }
-
-        return validatedWords;
     }
 
     /**
@@ -114,6 +161,7 @@ class FirebaseService {
                 const validatedWords = this.validateWords(words);
                 if (validatedWords) {
                     // console.log(`Fetched ${validatedWords.length} validated words from Firebase for ${today}:`, validatedWords);
+                    this.cacheWords(today, validatedWords);
                     return validatedWords;
                 } else {
                     console.warn(`Invalid words data in Firebase for date: ${today}`);
@@ -156,7 +204,8 @@ class FirebaseService {
                 // Validate and sanitize words before returning
                 const validatedWords = this.validateWords(words);
                 if (validatedWords) {
-                    console.log(`Fetched ${validatedWords.length} validated words from Firebase for ${date}:`, validatedWords);
+                    // console.log(`Fetched ${validatedWords.length} validated words from Firebase for ${date}:`, validatedWords);
+                    this.cacheWords(date, validatedWords);
                     return validatedWords;
                 } else {
                     console.warn(`Invalid words data in Firebase for date: ${date}`);
@@ -0,0 +1,53 @@
+/**
+ * Player settings
+ * Options chosen on the home page and read by the game, kept in storage
+ */
+class GameSettings {
+    constructor() {
+        this.storageKey = 'settings';
+        this.defaults = {
+            livesMode: false, // Invalid submissions cost a life; running out ends the puzzle
+            sync: false // Progress is synced to Firebase (progress-sync.js)
+        };
+        this.values = null;
+    }
+
+    /**
+     * Load settings from storage, filling in defaults
+     * @returns {Object}
+     */
+    load() {
+        if (this.values) {
+            return this.values;
+        }
+
+        this.values = Object.assign({}, this.defaults);
+        const data = storage.get(this.storageKey);
+        if (data && typeof data === 'object') {
+            Object.keys(this.defaults).forEach(key => {
+                if (typeof data[key] === typeof this.defaults[key]) {
+                    this.values[key] = data[key];
+                }
+            });
+        }
+        return this.values;
+    }
+
+    /**
+     * Get a setting
+     */
+    get(key) {
+        return this.load()[key];
+    }
+
+    /**
+     * Change a setting and save
+     */
+    set(key, value) {
+        this.load()[key] = value;
+        storage.set(this.storageKey, this.values);
+    }
+}
+
+// Create global settings instance
+const gameSettings = new GameSettings();
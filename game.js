@@ -7,7 +7,14 @@ class WordJamGame {
     constructor() {
         // Game state
         this.lives = 3;
-        this.coins = 0;
+        this.livesMode = gameSettings.get('livesMode'); // Invalid submissions cost a life
+        this.coins = this.loadCoins(); // Saved across days
+        this.powerUpsUsed = { hint: 0, shuffle: 0, reveal: 0 }; // Per puzzle, shown in the share output
+        this.hintProgress = null; // { word, letters } - repeated hints on a word show one more letter
+        this.revealPending = false; // A revealed word is sliding into place
+        this.undoStack = []; // Snapshots taken before each submitted word, newest last
+        this.undoCount = 0; // Undos used on this puzzle (they don't count as tries)
+        this.clock = new PuzzleClock(); // Play time, started by the first move
         this.currentLevelNumber = 1;
         this.currentWordLength = 5;
         this.wordsNeededForProgression = 5;
@@ -15,6 +22,8 @@ class WordJamGame {
         this.foundWordsSet = new Set(); // Set for quick lookup (level words only)
         this.otherFoundWords = []; // Array to preserve order (valid words not in level)
         this.otherFoundWordsSet = new Set(); // Set for quick lookup (other words)
+        this.bonusWordsAvailable = 0; // Valid non-level words the starting grid allows
+        this.foundSequence = []; // Order of finds for the share grid: 'L' level word, 'B' bonus word, 'R' new try
         this.totalWordsFoundInSession = 0;
         this.highscore = this.loadHighscore();
         this.resetCount = 0;
@@ -23,19 +32,41 @@ class WordJamGame {
         this.letters = []; // [[String]] - rows of letters
         this.selectedColumnIndices = []; // [Int] - selected column for each row
         this.currentLevelWords = [];
+        this.puzzleDate = null; // YYYY-MM-DD of the puzzle being played
+        this.isPractice = new URLSearchParams(window.location.search).get('mode') === 'practice'; // Endless random levels
+        this.archiveDate = this.isPractice ? null : this.getArchiveDateFromUrl(); // Set when replaying a previous day
+        this.isArchive = this.archiveDate !== null;
+        this.isCustom = false; // Set when the puzzle comes from a ?puzzle= link
         
         // UI state
         this.isDragging = [];
         this.dragStartX = [];
         this.dragOffset = [];
         this.baseOffset = [];
+        this.momentumStops = new Set(); // Cancel functions of rows still coasting after a flick
+        this.focusedRow = 0; // Row moved by the keyboard
+        this.keyboardMode = false; // Highlight the focused row once the keyboard is used
         
         // Constants
         this.BUTTON_WIDTH = 42;
         this.BUTTON_SPACING = 4;
         this.ADD_WORD_COST = 30;
         this.ADD_LIFE_COST = 60;
+        this.MAX_LIVES = 3;
         this.COINS_PER_WORD = 10;
+        this.HINT_COST = 10;
+        this.SHUFFLE_COST = 5;
+        this.HINT_LETTERS = 2; // Letters shown by the first hint on a word
+        this.REVEAL_DELAY_MS = 450; // Time to watch a revealed word slide in before it is submitted
+        this.RUBBER_BAND = 0.55; // Resistance when dragging past the ends of a row
+        this.FLICK_MIN_VELOCITY = 0.3; // px/ms needed on release to start momentum
+        this.MOMENTUM_FRICTION = 0.92; // Velocity kept per 16ms of momentum
+        this.MOMENTUM_MIN_VELOCITY = 0.05; // px/ms below which momentum stops and the row snaps
+        this.VELOCITY_WINDOW_MS = 100; // Pointer history used to measure release velocity
+        this.PRACTICE_POOL_SIZE = 1500; // Most common words per length considered for practice levels
+        this.PRACTICE_MAX_WORD_LENGTH = 8;
+        this.PRACTICE_MAX_WORD_COUNT = 8;
+        this.PRACTICE_CANDIDATES = 5; // Word sets analyzed per practice level to match its target difficulty
         
         // Result message
         this.result = '';
@@ -50,11 +81,27 @@ class WordJamGame {
     async init() {
         // Service worker is registered via sw-register.js
         
-        // Load dictionary first
-        await dictionary.load();
+        // Synced progress that arrives after the puzzle has loaded replaces what's on screen
+        progressSync.onChange(updated => this.onSyncedProgress(updated));
         
-        // Generate initial level (will try Firebase first, fallback to random)
+        // Load dictionary first, bringing in synced progress meanwhile (before anything reads it)
+        const [, synced] = await Promise.all([dictionary.load(), progressSync.start()]);
+        if (synced) {
+            puzzleHistory.reload();
+            this.coins = this.loadCoins();
+            this.highscore = this.loadHighscore();
+        }
+        
+        // Show the offline indicator whenever the server can't be reached
+        connectivity.onChange(online => this.updateOfflineIndicator(online));
+        connectivity.watch();
+        
+        // Generate initial level from the configured puzzle providers
         await this.generateNewLevel();
+        this.updatePuzzleLabel();
+        
+        // Offer the next puzzle when the day rolls over with the page open
+        puzzleCalendar.watch(today => this.onPuzzleRollover(today));
         
         // Check if all words have been found - if so, redirect to completion page
         if (this.checkAllWordsFound()) {
@@ -67,10 +114,22 @@ class WordJamGame {
         // Render initial grid
         this.renderGrid();
         this.updateUI();
+        
+        // A lost puzzle stays lost after a reload
+        if (!this.isTracked()) return;
+        if (puzzleHistory.getStatus(this.puzzleDate) === 'failed' || (this.livesMode && this.lives === 0)) {
+            puzzleHistory.markFailed(this.puzzleDate, this.getHistoryDetails());
+            progressSync.schedulePush(this.puzzleDate);
+            this.openGameOverModal();
+        }
     }
 
     setupEventListeners() {
         document.getElementById('confirm-btn').addEventListener('click', () => this.confirmWord());
+        document.getElementById('hint-btn').addEventListener('click', () => this.useHint());
+        document.getElementById('shuffle-btn').addEventListener('click', () => this.useShuffle());
+        document.getElementById('reveal-btn').addEventListener('click', () => this.useReveal());
+        document.getElementById('undo-btn').addEventListener('click', () => this.undoLastWord());
         document.getElementById('reset-btn').addEventListener('click', () => this.resetLevel().catch(console.error));
         document.getElementById('restart-btn').addEventListener('click', () => this.restartGame().catch(console.error));
         document.getElementById('back-to-menu-btn').addEventListener('click', () => {
@@ -107,39 +166,232 @@ class WordJamGame {
                 this.closeAccordion();
             }
         });
+        
+        // Keyboard controls and type-to-slide
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        
+        // Keep centered selection stable after resizes
+        window.addEventListener('resize', () => this.recenterRows());
+        
+        // The clock only runs while the page is visible; save it whenever the page is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.clock.pause();
+                this.saveGameState();
+            } else {
+                this.clock.resume();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.clock.pause();
+            this.saveGameState();
+        });
+    }
+
+    /**
+     * Handle keyboard input
+     * Arrow keys move the focused row and change rows, letters slide the focused
+     * row to that letter and move to the next row, Enter submits and Backspace re-centers
+     */
+    handleKeyDown(e) {
+        // Ctrl/Cmd+Z undoes the last word
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'z') {
+            if (e.target && e.target.closest && e.target.closest('input, textarea, select')) return;
+            e.preventDefault();
+            this.undoLastWord();
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target && e.target.closest && e.target.closest('input, textarea, select')) return;
+        if (this.showGameOver || this.letters.length === 0) return;
+        
+        const key = e.key;
+        let handled = true;
+        
+        if (key === 'ArrowLeft' || key === 'ArrowRight') {
+            this.moveRowSelection(this.focusedRow, key === 'ArrowLeft' ? -1 : 1);
+        } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+            this.setFocusedRow(this.focusedRow + (key === 'ArrowUp' ? -1 : 1));
+        } else if (key === 'Enter') {
+            // Let a focused button handle its own Enter
+            if (e.target && e.target.closest && e.target.closest('button')) return;
+            this.confirmWord();
+        } else if (key === 'Backspace') {
+            this.recenterFocusedRow();
+        } else if (/^[a-zA-Z]$/.test(key)) {
+            this.typeLetter(key.toUpperCase());
+        } else {
+            handled = false;
+        }
+        
+        if (handled) {
+            e.preventDefault();
+            this.setKeyboardMode(true);
+        }
+    }
+
+    /**
+     * Toggle the focused-row highlight (only shown while using the keyboard)
+     */
+    setKeyboardMode(enabled) {
+        this.keyboardMode = enabled;
+        this.updateFocusedRowDisplay();
+    }
+
+    /**
+     * Move keyboard focus to a row
+     */
+    setFocusedRow(rowIndex) {
+        const lastRow = Math.max(0, this.letters.length - 1);
+        this.focusedRow = Math.max(0, Math.min(lastRow, rowIndex));
+        this.updateFocusedRowDisplay();
     }
 
     /**
-     * Generate letters grid from valid words
-     * Same logic as WordJam's generateLettersGrid
+     * Highlight the focused row
      */
-    generateLettersGrid(validWords) {
-        const maxLength = Math.max(...validWords.map(w => w.length));
-        const columns = validWords.length;
-        const grid = Array(maxLength).fill(null).map(() => Array(columns).fill(' '));
+    updateFocusedRowDisplay() {
+        const containers = document.querySelectorAll('.letter-row-container');
+        containers.forEach((rowContainer) => {
+            const isFocused = this.keyboardMode && parseInt(rowContainer.dataset.row, 10) === this.focusedRow;
+            rowContainer.classList.toggle('focused', isFocused);
+        });
+    }
 
-        // Distribute letters into grid
-        for (let wordIndex = 0; wordIndex < validWords.length; wordIndex++) {
-            const word = validWords[wordIndex];
-            for (let letterIndex = 0; letterIndex < word.length; letterIndex++) {
-                grid[letterIndex][wordIndex] = word[letterIndex].toUpperCase();
+    /**
+     * Columns of a row that hold a letter (blank cells are not rendered)
+     */
+    getLetterColumns(rowIndex) {
+        const columns = [];
+        const rowData = this.letters[rowIndex] || [];
+        for (let col = 0; col < rowData.length; col++) {
+            if (rowData[col] !== ' ') {
+                columns.push(col);
             }
         }
+        return columns;
+    }
 
-        // Shuffle each row
-        for (let row = 0; row < maxLength; row++) {
-            grid[row] = this.shuffleArray([...grid[row]]);
+    /**
+     * Move a row's selection one letter left (-1) or right (+1)
+     */
+    moveRowSelection(rowIndex, direction) {
+        const columns = this.getLetterColumns(rowIndex);
+        if (columns.length === 0) return;
+        
+        const current = columns.indexOf(this.selectedColumnIndices[rowIndex]);
+        const next = Math.max(0, Math.min(columns.length - 1, (current === -1 ? 0 : current) + direction));
+        this.slideRowToIndex(rowIndex, columns[next]);
+    }
+
+    /**
+     * Re-center the focused row, or step back to the previous row if it's already centered
+     */
+    recenterFocusedRow() {
+        const columns = this.getLetterColumns(this.focusedRow);
+        const centerIndex = columns[Math.floor(columns.length / 2)];
+        
+        if (this.selectedColumnIndices[this.focusedRow] === centerIndex && this.focusedRow > 0) {
+            this.setFocusedRow(this.focusedRow - 1);
+            this.recenterFocusedRow();
+            return;
+        }
+        
+        if (centerIndex !== undefined) {
+            this.slideRowToIndex(this.focusedRow, centerIndex);
         }
+    }
 
-        return grid;
+    /**
+     * Type-to-slide: slide the focused row to a letter and focus the next row
+     */
+    typeLetter(letter) {
+        const rowIndex = this.focusedRow;
+        const column = this.findLetterColumn(rowIndex, letter);
+        
+        if (column === -1) {
+            this.showResult(`Row ${rowIndex + 1} has no "${letter}"`, 'error');
+            this.flashRowRejected(rowIndex);
+            return;
+        }
+        
+        this.slideRowToIndex(rowIndex, column);
+        this.setFocusedRow(rowIndex + 1);
+    }
+
+    /**
+     * Column of a letter in a row, closest to the current selection (-1 if the row doesn't contain it)
+     */
+    findLetterColumn(rowIndex, letter) {
+        const current = this.selectedColumnIndices[rowIndex] || 0;
+        let best = -1;
+        for (const col of this.getLetterColumns(rowIndex)) {
+            if (this.letters[rowIndex][col] !== letter) continue;
+            if (best === -1 || Math.abs(col - current) < Math.abs(best - current)) {
+                best = col;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Briefly shake a row to show a rejected letter
+     */
+    flashRowRejected(rowIndex) {
+        const rowContainer = document.querySelector(`.letter-row-container[data-row="${rowIndex}"]`);
+        if (!rowContainer) return;
+        rowContainer.classList.remove('rejected');
+        // Force a reflow so the animation restarts
+        void rowContainer.offsetWidth;
+        rowContainer.classList.add('rejected');
+        setTimeout(() => rowContainer.classList.remove('rejected'), 400);
+    }
+
+    /**
+     * Slide a row so the letter at an index is centered
+     */
+    slideRowToIndex(rowIndex, index) {
+        const rowContainer = document.querySelector(`.letter-row-container[data-row="${rowIndex}"]`);
+        if (!rowContainer) return;
+        const rowElement = rowContainer.querySelector('.letter-row');
+        
+        const targetOffset = this.calculateOffsetForIndex(rowIndex, index, rowContainer, rowElement);
+        this.selectedColumnIndices[rowIndex] = index;
+        
+        // Keyboard moves start the clock just like a drag
+        this.clock.start();
+        this.dragOffset[rowIndex] = targetOffset;
+        this.baseOffset[rowIndex] = targetOffset;
+        
+        rowElement.style.transition = 'transform 120ms ease-out';
+        rowElement.style.transform = `translateX(${targetOffset}px)`;
+        this.updateRowSelection(rowIndex);
+        
+        // Once the slide settles, snap to the letter that is actually centered
+        setTimeout(() => {
+            // The grid may have been re-rendered in the meantime
+            if (!rowElement.isConnected) return;
+            rowElement.style.transition = 'none';
+            this.snapToNearestLetter(rowIndex, rowContainer, rowElement);
+        }, 140);
+    }
+
+    /**
+     * Generate letters grid from valid words (see LetterGridGenerator)
+     * @param {string[]} validWords - Words to distribute into the grid
+     * @param {Function} [random] - Random source for the row shuffle (defaults to Math.random)
+     */
+    generateLettersGrid(validWords, random = Math.random) {
+        return letterGrid.generate(validWords, random);
     }
 
     /**
      * Generate random words for a level
      */
-    generateRandomWordsForLevel(levelNumber, wordLength) {
-        const availableWords = dictionary.wordsOfLength(wordLength);
-        const wordsToSelect = Math.min(10, availableWords.length);
+    generateRandomWordsForLevel(levelNumber, wordLength, wordCount = 10) {
+        // Common words keep random levels fair (call dictionary.loadCommonWords() first)
+        const availableWords = dictionary.commonWordsOfLength(wordLength).slice(0, this.PRACTICE_POOL_SIZE);
+        const wordsToSelect = Math.min(wordCount, availableWords.length);
 
         if (wordsToSelect === 0) {
             console.warn(`No words of length ${wordLength}, using fallback`);
@@ -153,40 +405,72 @@ class WordJamGame {
     }
 
     /**
-     * Generate a new level - tries Firebase first, falls back to random words
+     * Get the date of the puzzle being played in YYYY-MM-DD format
+     */
+    getPuzzleDate() {
+        return this.archiveDate || this.getTodayDate();
+    }
+
+    /**
+     * Get the archive date from the page URL (?date=YYYY-MM-DD), or null for today's puzzle
+     * Only past dates can be played from the archive
+     */
+    getArchiveDateFromUrl() {
+        const date = new URLSearchParams(window.location.search).get('date');
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return null;
+        }
+        return date < this.getTodayDate() ? date : null;
+    }
+
+    /**
+     * Get today's date in YYYY-MM-DD format
+     */
+    getTodayDate() {
+        return puzzleCalendar.getToday();
+    }
+
+    /**
+     * Random source for a try of the current puzzle
+     * Seeded on the puzzle date, so every player gets the same grid for the same try
+     */
+    createPuzzleRandom(tryNumber) {
+        // Practice levels are random, not the shared daily layout
+        if (this.isPractice) return Math.random;
+        return new SeededRandom(`wordjam:${this.puzzleDate}:try:${tryNumber}`).random;
+    }
+
+    /**
+     * Generate a new level from the configured puzzle providers (puzzle-providers.js)
      */
     async generateNewLevel() {
-        let words = null;
+        if (this.isPractice) {
+            await this.generatePracticeLevel();
+            return;
+        }
         
-        // Try to fetch words from Firebase
-        try {
-            if (typeof firebaseService !== 'undefined') {
-                words = await firebaseService.getTodaysWords();
-            }
-        } catch (error) {
-            console.error('Firebase fetch error:', error);
+        this.puzzleDate = this.getPuzzleDate();
+        
+        // Network providers are skipped when the connection is gone
+        const online = await connectivity.check();
+        this.updateOfflineIndicator(online);
+        let puzzle = await puzzleSource.getPuzzle(this.puzzleDate, { online });
+        if (!puzzle) {
+            // Every provider came up empty; the seeded generator always has a puzzle
+            console.warn(`No puzzle provider had ${this.puzzleDate}, generating one`);
+            puzzle = { words: await new SeededPuzzleProvider(dictionary, letterGrid).getWords(this.puzzleDate), source: 'generated' };
         }
+        console.log(`Puzzle for ${this.puzzleDate} from ${puzzle.source}`);
+        const words = puzzle.words;
         
-        // If Firebase didn't return words, generate random words as fallback
-        if (!words || words.length === 0) {
-            console.log('Using fallback: generating random words');
-            const wordLength = 5;
-            const wordCount = 5;
-            
-            // Get available words of the specified length
-            const availableWords = dictionary.wordsOfLength(wordLength);
-            
-            if (availableWords.length < wordCount) {
-                console.error(`Not enough ${wordLength}-letter words in dictionary. Available: ${availableWords.length}, needed: ${wordCount}`);
-                // Fallback to basic words
-                words = ['CAT', 'DOG', 'BAT', 'HAT', 'MAT'];
-            } else {
-                // Select exactly 5 random words
-                const shuffled = this.shuffleArray([...availableWords]);
-                words = shuffled.slice(0, wordCount);
-            }
+        // Keep the next days' puzzles on hand in case tomorrow starts offline
+        if (online) {
+            puzzleSource.prefetch(puzzleCalendar.getToday()).catch(error => console.warn('Puzzle prefetch failed:', error));
         }
         
+        // A puzzle from a link is played on its own, outside the daily history
+        this.isCustom = puzzle.source === 'custom';
+        
         // Ensure words are uppercase
         this.currentLevelWords = words.map(word => word.toUpperCase());
         
@@ -198,22 +482,204 @@ class WordJamGame {
         
         // console.log(`Level ${this.currentLevelNumber}: Using ${this.currentLevelWords.length} words of length ${this.currentWordLength}: ${this.currentLevelWords.join(', ')}`);
         
-        // Generate letter grid from words
-        this.letters = this.generateLettersGrid(this.currentLevelWords);
+        // Generate letter grid from words (first try of the day)
+        this.letters = this.generateLettersGrid(this.currentLevelWords, this.createPuzzleRandom(1));
+        
+        // Count the bonus words this grid allows
+        this.bonusWordsAvailable = this.countBonusWords(this.letters);
         
         // Initialize selection to center of each row
         this.initializeSelection();
         
-        // Load found words from localStorage for this level
+        // Load found words saved for this puzzle date
         this.loadFoundWords();
         
         // Reset tries count to 1 for new level (first play is try 1)
         this.resetCount = 1;
+        this.undoStack = [];
+        this.clock = new PuzzleClock();
+        
+        // Continue exactly where a reload left off
+        if (!this.restoreGameState()) {
+            // Without a saved grid, never hand back fewer tries than the history recorded
+            const record = puzzleHistory.getRecord(this.puzzleDate);
+            const recordedTries = record && record.status === 'in-progress' ? parseInt(record.tries, 10) || 1 : 1;
+            if (recordedTries > 1) {
+                this.resetCount = recordedTries;
+                this.letters = this.generateLettersGrid(this.currentLevelWords, this.createPuzzleRandom(recordedTries));
+                this.initializeSelection();
+            }
+        }
+        
+        // A restored clock picks up where it was, if the puzzle was already started
+        if (document.visibilityState !== 'hidden') {
+            this.clock.resume();
+        }
         
         // Initialize drag state
         this.initializeDragState();
     }
 
+    /**
+     * Word length and word count for a practice level
+     * Every three levels the words get one letter longer; within those three the count grows
+     */
+    getPracticeLevelSettings(levelNumber) {
+        const tier = Math.floor((levelNumber - 1) / 3);
+        return {
+            wordLength: Math.min(4 + tier, this.PRACTICE_MAX_WORD_LENGTH),
+            wordCount: Math.min(3 + ((levelNumber - 1) % 3) + tier, this.PRACTICE_MAX_WORD_COUNT)
+        };
+    }
+
+    /**
+     * Difficulty rating a practice level aims for: easy at first, harder every level
+     */
+    getPracticeTargetRating(levelNumber) {
+        return Math.min(70, 40 + (levelNumber - 1) * 3);
+    }
+
+    /**
+     * Pick the random word set whose difficulty is closest to the level's target
+     */
+    pickPracticeWords(levelNumber, wordLength, wordCount) {
+        const target = this.getPracticeTargetRating(levelNumber);
+        let best = null;
+
+        for (let i = 0; i < this.PRACTICE_CANDIDATES; i++) {
+            const words = this.generateRandomWordsForLevel(levelNumber, wordLength, wordCount);
+            const { rating } = difficultyAnalyzer.analyze(words);
+            if (!best || Math.abs(rating - target) < Math.abs(best.rating - target)) {
+                best = { words, rating };
+            }
+        }
+
+        console.log(`Level ${levelNumber}: Picked difficulty ${best.rating} (target ${target})`);
+        return best.words;
+    }
+
+    /**
+     * Generate a random practice level (nothing is saved to the daily history)
+     */
+    async generatePracticeLevel() {
+        this.puzzleDate = this.getTodayDate();
+        await dictionary.loadCommonWords();
+        
+        const { wordLength, wordCount } = this.getPracticeLevelSettings(this.currentLevelNumber);
+        const words = this.pickPracticeWords(this.currentLevelNumber, wordLength, wordCount);
+        
+        this.currentLevelWords = words.map(word => word.toUpperCase());
+        this.currentWordLength = this.currentLevelWords[0].length;
+        this.wordsNeededForProgression = this.currentLevelWords.length;
+        
+        this.letters = this.generateLettersGrid(this.currentLevelWords);
+        this.bonusWordsAvailable = this.countBonusWords(this.letters);
+        this.initializeSelection();
+        this.loadFoundWords();
+        this.resetCount = 1;
+        this.undoStack = [];
+        this.initializeDragState();
+        this.updatePuzzleLabel();
+    }
+
+    /**
+     * Whether this game is saved and recorded in the daily history
+     * Practice runs and puzzles from links are played on their own
+     */
+    isTracked() {
+        return !this.isPractice && !this.isCustom;
+    }
+
+    /**
+     * Record progress in the daily history (practice runs stay out of it)
+     */
+    trackProgress() {
+        if (!this.isTracked()) return;
+        puzzleHistory.markInProgress(this.puzzleDate, this.getHistoryDetails());
+        progressSync.schedulePush(this.puzzleDate);
+    }
+
+    /**
+     * Storage key for the in-progress game of the current puzzle date
+     */
+    getGameStateKey() {
+        return storage.dayKey('gameState', this.puzzleDate);
+    }
+
+    /**
+     * Save the grid, selection, tries, undo stack and clock for this puzzle date
+     * (found words, lives and power-ups are saved with the found words)
+     */
+    saveGameState() {
+        if (!this.isTracked() || !this.puzzleDate || this.currentLevelWords.length === 0) return;
+        
+        const state = {
+            words: [...this.currentLevelWords].sort(),
+            letters: this.letters,
+            selectedColumnIndices: this.selectedColumnIndices,
+            resetCount: this.resetCount,
+            undoStack: this.undoStack,
+            clock: this.clock.toJSON(),
+            savedAt: Date.now()
+        };
+        storage.set(this.getGameStateKey(), state);
+    }
+
+    /**
+     * Restore the saved game for this puzzle date
+     * @returns {boolean} Whether a usable state was restored
+     */
+    restoreGameState() {
+        if (!this.isTracked()) return false;
+        const state = storage.get(this.getGameStateKey());
+        if (!state || typeof state !== 'object') return false;
+        
+        try {
+            const words = [...this.currentLevelWords].sort();
+            
+            // Only restore a state saved for these exact words with a well-formed grid
+            const sameWords = Array.isArray(state.words) && state.words.join(',') === words.join(',');
+            const isGrid = (letters) => Array.isArray(letters) && letters.length > 0 && letters.every(row =>
+                Array.isArray(row) && row.every(cell => typeof cell === 'string' && /^[A-Z ]$/.test(cell))
+            );
+            if (!sameWords || !isGrid(state.letters) || state.letters.every(row => row.every(cell => cell === ' '))) {
+                return false;
+            }
+            
+            this.letters = state.letters;
+            this.selectedColumnIndices = Array.isArray(state.selectedColumnIndices)
+                ? state.selectedColumnIndices.map(col => parseInt(col, 10) || 0)
+                : [];
+            this.validateAndFixIndices();
+            this.resetCount = Math.max(1, parseInt(state.resetCount, 10) || 1);
+            this.undoStack = Array.isArray(state.undoStack)
+                ? state.undoStack.filter(snapshot => snapshot && isGrid(snapshot.letters))
+                : [];
+            // States saved before the clock existed only have the total time
+            this.clock = new PuzzleClock(state.clock || {
+                totalMs: state.elapsedMs,
+                started: state.elapsedMs > 0
+            });
+            console.log(`Restored game state for ${this.puzzleDate} (try ${this.resetCount})`);
+            return true;
+        } catch (e) {
+            console.error('Error loading game state:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Count valid words of the level's length that are not level words
+     */
+    countBonusWords(letters) {
+        if (typeof gridSolver === 'undefined') return 0;
+        const levelWords = new Set(this.currentLevelWords.map(word => word.toUpperCase()));
+        return gridSolver
+            .solve(letters, { length: this.currentWordLength })
+            .filter(word => !levelWords.has(word))
+            .length;
+    }
+
     /**
      * Initialize selection indices to center of each row
      */
@@ -260,7 +726,9 @@ class WordJamGame {
     /**
      * Confirm word and validate
      */
-    confirmWord() {
+    confirmWord(options = {}) {
+        if (this.showGameOver || (this.revealPending && !options.revealed)) return;
+        
         const word = this.buildWordFromSelection();
         
         if (!word || word.length === 0) {
@@ -275,6 +743,10 @@ class WordJamGame {
         if (isValid && correctLength) {
             const wordUpper = word.toUpperCase();
             
+            // Snapshot the grid and lists so this word can be undone
+            const snapshot = this.createUndoSnapshot(wordUpper);
+            const coinsBefore = this.coins;
+            
             // Check if this word is one of the words used to generate the level
             const isLevelWord = this.currentLevelWords.some(levelWord => 
                 levelWord.toUpperCase() === wordUpper
@@ -285,33 +757,68 @@ class WordJamGame {
                 // Valid level word found! Add to array (preserves order) and set
                 this.foundWords.push(wordUpper);
                 this.foundWordsSet.add(wordUpper);
+                // Revealed words are marked separately in the share grid and don't earn coins
+                this.foundSequence.push(options.revealed ? 'V' : 'L');
+                if (!options.revealed) {
+                    this.addCoins(this.COINS_PER_WORD);
+                }
+                this.totalWordsFoundInSession++;
                 this.saveFoundWords();
             } else if (!isLevelWord && !this.otherFoundWordsSet.has(wordUpper)) {
                 // Valid word but not a level word - track as "other word"
                 this.otherFoundWords.push(wordUpper);
                 this.otherFoundWordsSet.add(wordUpper);
+                this.foundSequence.push('B');
+                this.addCoins(this.COINS_PER_WORD);
+                this.totalWordsFoundInSession++;
                 this.saveFoundWords();
             }
             
-            this.totalWordsFoundInSession++;
-            this.coins += this.COINS_PER_WORD;
+            snapshot.coinsEarned = this.coins - coinsBefore;
+            this.undoStack.push(snapshot);
+            
+            // A hint only applies until its word is found
+            if (this.hintProgress && this.foundWordsSet.has(this.hintProgress.word)) {
+                this.hintProgress = null;
+            }
+            
+            // The puzzle now counts as started in the history
+            this.trackProgress();
             
             const levelWordsFound = this.foundWords.length;
             // console.log(`Found valid ${this.currentWordLength}-letter word '${wordUpper}' (${levelWordsFound}/${this.wordsNeededForProgression} level words found)`);
             
             // Remove used letters
             this.removeUsedLetters();
+            this.saveGameState();
+            
+            // Practice runs keep the best run so far and chain straight into the next level
+            if (this.isPractice) {
+                this.updatePracticeHighscore();
+                if (this.foundWords.length >= this.wordsNeededForProgression) {
+                    this.progressToNextLevel().catch(console.error);
+                    return;
+                }
+            }
+            
+            // A linked puzzle has no completion page; it ends here
+            if (this.isCustom && this.foundWords.length >= this.wordsNeededForProgression) {
+                this.clock.stop();
+                this.showResult(`Puzzle solved in ${this.resetCount} ${this.resetCount === 1 ? 'try' : 'tries'}!`, 'success');
+                return;
+            }
             
             // Check if all words are found first
             if (this.foundWords.length >= this.wordsNeededForProgression) {
-                // Store found words in localStorage
-                localStorage.setItem('completedWords', JSON.stringify(this.foundWords));
+                this.clock.stop();
+                puzzleHistory.markCompleted(this.puzzleDate, this.getHistoryDetails());
+                progressSync.schedulePush(this.puzzleDate);
                 
-                // Store reset count in localStorage
-                localStorage.setItem('completedResetCount', this.resetCount.toString());
+                // The result lives in the history now
+                storage.remove(this.getGameStateKey());
                 
                 // Redirect to completion page
-                window.location.href = 'completion.html';
+                window.location.href = this.getCompletionUrl();
                 return;
             }
             
@@ -324,6 +831,9 @@ class WordJamGame {
             // Auto-advance selection
             this.autoAdvanceSelection();
             
+            // Start typing the next word from the first row
+            this.focusedRow = 0;
+            
             // Re-render grid
             this.renderGrid();
             this.updateUI();
@@ -338,10 +848,300 @@ class WordJamGame {
                 console.log(`Invalid word '${word}'`);
             }
             
+            if (this.livesMode) {
+                this.loseLife();
+            }
+            
             this.updateUI();
         }
     }
 
+    /**
+     * Take a life for an invalid submission (lives mode), ending the game at zero
+     */
+    loseLife() {
+        this.lives = Math.max(0, this.lives - 1);
+        this.saveFoundWords();
+        
+        if (this.lives === 0) {
+            this.clock.stop();
+            this.saveGameState();
+            if (this.isTracked()) {
+                puzzleHistory.markFailed(this.puzzleDate, this.getHistoryDetails());
+                progressSync.schedulePush(this.puzzleDate);
+            }
+            this.openGameOverModal();
+        } else {
+            this.showResult(`Not a valid word. ${this.lives} ${this.lives === 1 ? 'life' : 'lives'} left`, 'error');
+        }
+    }
+
+    /**
+     * Copy of everything a submitted word changes
+     */
+    createUndoSnapshot(word) {
+        return {
+            word,
+            letters: this.letters.map(row => [...row]),
+            selectedColumnIndices: [...this.selectedColumnIndices],
+            foundWords: [...this.foundWords],
+            otherFoundWords: [...this.otherFoundWords],
+            foundSequence: [...this.foundSequence],
+            totalWordsFoundInSession: this.totalWordsFoundInSession,
+            coinsEarned: 0
+        };
+    }
+
+    /**
+     * Undo the last submitted word: its letters go back to their columns and it leaves the found lists
+     * Undos don't count as tries; they are counted separately and shown in the share text
+     */
+    undoLastWord() {
+        if (this.showGameOver || this.revealPending) return;
+        
+        const snapshot = this.undoStack.pop();
+        if (!snapshot) {
+            this.showResult('Nothing to undo', 'info');
+            return;
+        }
+        
+        this.letters = snapshot.letters;
+        this.selectedColumnIndices = snapshot.selectedColumnIndices;
+        this.foundWords = snapshot.foundWords;
+        this.foundWordsSet = new Set(this.foundWords);
+        this.otherFoundWords = snapshot.otherFoundWords;
+        this.otherFoundWordsSet = new Set(this.otherFoundWords);
+        this.foundSequence = snapshot.foundSequence;
+        this.totalWordsFoundInSession = snapshot.totalWordsFoundInSession;
+        this.hintProgress = null;
+        
+        // Coins earned by the word go back, so re-finding it doesn't pay twice
+        this.coins = Math.max(0, this.coins - snapshot.coinsEarned);
+        this.saveCoins();
+        
+        this.undoCount++;
+        this.saveFoundWords();
+        this.saveGameState();
+        this.trackProgress();
+        
+        this.initializeDragState();
+        this.renderGrid();
+        this.updateUI();
+        this.showResult(`Undid "${snapshot.word}"`, 'info');
+    }
+
+    /**
+     * Coins saved across days
+     */
+    loadCoins() {
+        const saved = parseInt(storage.get('coins'), 10);
+        return Number.isFinite(saved) && saved > 0 ? saved : 0;
+    }
+
+    saveCoins() {
+        storage.set('coins', this.coins);
+    }
+
+    addCoins(amount) {
+        this.coins += amount;
+        this.saveCoins();
+    }
+
+    /**
+     * Spend coins on a power-up, returning false (and saying why) if there aren't enough
+     */
+    spendCoins(cost) {
+        if (this.coins < cost) {
+            this.showResult(`You need ${cost} coins for that`, 'error');
+            return false;
+        }
+        this.coins -= cost;
+        this.saveCoins();
+        return true;
+    }
+
+    /**
+     * Record a power-up use for this puzzle
+     */
+    recordPowerUp(type) {
+        this.powerUpsUsed[type]++;
+        this.saveFoundWords();
+        this.trackProgress();
+    }
+
+    /**
+     * Unfound level word the current grid can still spell, with the column to select in each row
+     * Only selections that take a letter from every row are usable, since blank cells can't be selected
+     * @returns {{word: string, selection: number[]}|null}
+     */
+    findHintTarget() {
+        // Keep hinting the same word while it is still possible
+        const candidates = this.currentLevelWords.filter(word => !this.foundWordsSet.has(word));
+        if (this.hintProgress && candidates.includes(this.hintProgress.word)) {
+            candidates.unshift(this.hintProgress.word);
+        }
+        
+        for (const word of candidates) {
+            const selection = gridSolver.findSelection(this.letters, word, this.selectedColumnIndices);
+            if (selection && selection.every((col, row) => this.letters[row][col] !== ' ')) {
+                return { word, selection };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Hint: slide the first rows to the first letters of an unfound level word
+     */
+    useHint() {
+        if (this.showGameOver || this.revealPending) return;
+        
+        const target = this.findHintTarget();
+        if (!target) {
+            this.showResult('No puzzle word fits these letters. Try again', 'info');
+            return;
+        }
+        
+        const sameWord = this.hintProgress && this.hintProgress.word === target.word;
+        const letters = Math.min(
+            sameWord ? this.hintProgress.letters + 1 : this.HINT_LETTERS,
+            target.word.length - 1
+        );
+        // The last letter is never hinted, so a hint that can't show more isn't charged
+        if (sameWord && letters <= this.hintProgress.letters) {
+            this.showResult(`The hint already shows "${target.word.slice(0, letters)}". Try Reveal for the whole word`, 'info');
+            return;
+        }
+        if (!this.spendCoins(this.HINT_COST)) return;
+        
+        this.hintProgress = { word: target.word, letters };
+        for (let row = 0; row < letters; row++) {
+            this.slideRowToIndex(row, target.selection[row]);
+        }
+        this.setFocusedRow(letters);
+        this.recordPowerUp('hint');
+        this.updateUI();
+        this.showResult(`Hint: a word starts with "${target.word.slice(0, letters)}"`, 'info');
+    }
+
+    /**
+     * Shuffle: reorder the remaining letters within each row (doesn't count as a try)
+     * Buildable words only depend on which letters each row holds, so nothing is lost
+     */
+    useShuffle() {
+        if (this.showGameOver || this.revealPending || this.letters.length === 0) return;
+        if (!this.spendCoins(this.SHUFFLE_COST)) return;
+        
+        this.letters = this.letters.map(row => {
+            const rowLetters = this.shuffleArray(row.filter(letter => letter !== ' '));
+            while (rowLetters.length < row.length) {
+                rowLetters.push(' ');
+            }
+            return rowLetters;
+        });
+        
+        this.initializeSelection();
+        this.initializeDragState();
+        // Earlier snapshots hold the old letter order
+        const hadUndo = this.undoStack.length > 0;
+        this.undoStack = [];
+        this.saveGameState();
+        this.recordPowerUp('shuffle');
+        this.renderGrid();
+        this.updateUI();
+        this.showResult(hadUndo ? 'Letters shuffled. Earlier words can no longer be undone' : 'Letters shuffled', 'info');
+    }
+
+    /**
+     * Reveal: slide every row to an unfound level word and submit it
+     */
+    useReveal() {
+        if (this.showGameOver || this.revealPending) return;
+        
+        const target = this.findHintTarget();
+        if (!target) {
+            this.showResult('No puzzle word fits these letters. Try again', 'info');
+            return;
+        }
+        if (this.coins < this.ADD_WORD_COST) {
+            this.showResult(`You need ${this.ADD_WORD_COST} coins for that`, 'error');
+            return;
+        }
+        
+        this.revealPending = true;
+        target.selection.forEach((col, row) => this.slideRowToIndex(row, col));
+        this.updateUI();
+        
+        setTimeout(() => {
+            // The slide may have snapped to a neighbour, so submit the exact selection
+            this.selectedColumnIndices = [...target.selection];
+            this.revealPending = false;
+            
+            // Coins are only spent on a word confirmWord will accept
+            const word = (this.buildWordFromSelection() || '').toUpperCase();
+            if (word !== target.word || !dictionary.isValidWord(word)) {
+                this.showResult('Could not reveal a word. No coins were spent', 'info');
+                this.updateUI();
+                return;
+            }
+            this.spendCoins(this.ADD_WORD_COST);
+            this.recordPowerUp('reveal');
+            this.confirmWord({ revealed: true });
+        }, this.REVEAL_DELAY_MS);
+    }
+
+    /**
+     * Show the coin balance and enable the power-ups that can be afforded
+     */
+    updatePowerUpBar() {
+        const coinsCount = document.getElementById('coins-count');
+        if (!coinsCount) return;
+        coinsCount.textContent = this.coins;
+        
+        const powerUps = [
+            ['hint', this.HINT_COST],
+            ['shuffle', this.SHUFFLE_COST],
+            ['reveal', this.ADD_WORD_COST]
+        ];
+        powerUps.forEach(([type, cost]) => {
+            document.getElementById(`${type}-cost`).textContent = `${cost} coins`;
+            document.getElementById(`${type}-btn`).disabled = this.showGameOver || this.coins < cost;
+        });
+    }
+
+    /**
+     * Show the game-over modal with the level words revealed
+     */
+    openGameOverModal() {
+        this.showGameOver = true;
+        this.setKeyboardMode(false);
+        
+        const found = this.foundWords.length;
+        const total = this.currentLevelWords.length;
+        document.getElementById('game-over-message').textContent = this.isPractice
+            ? `Your run ended on level ${this.currentLevelNumber} with ${this.totalWordsFoundInSession} words found.\nThis level's words were:`
+            : `You ran out of lives after finding ${found} of ${total} words.\nThe words were:`;
+        
+        // Found words are highlighted, missed ones outlined
+        const wordsList = document.getElementById('game-over-words');
+        wordsList.textContent = '';
+        this.currentLevelWords.forEach(word => {
+            const wordSpan = document.createElement('span');
+            wordSpan.className = 'game-over-word';
+            if (!this.foundWordsSet.has(word)) {
+                wordSpan.classList.add('missed');
+            }
+            wordSpan.textContent = word;
+            wordsList.appendChild(wordSpan);
+        });
+        
+        // The words are revealed, so a dated puzzle can't be replayed; practice starts a new run
+        document.getElementById('restart-btn').style.display = this.isPractice ? '' : 'none';
+        document.getElementById('reset-btn').disabled = true;
+        this.updatePowerUpBar();
+        document.getElementById('game-over-modal').classList.add('show');
+    }
+
     /**
      * Remove used letters from grid
      */
@@ -438,24 +1238,89 @@ class WordJamGame {
      * Check if all words have been found and redirect to completion page if so
      */
     checkAllWordsFound() {
+        if (!this.isTracked()) return false;
         if (this.foundWords.length >= this.wordsNeededForProgression) {
             console.log('All words already found, redirecting to completion page');
-            // Store found words in localStorage (in case they weren't already stored)
-            localStorage.setItem('completedWords', JSON.stringify(this.foundWords));
-            
-            // Store reset count in localStorage (load from existing or use current)
-            const savedResetCount = localStorage.getItem('completedResetCount');
-            if (!savedResetCount) {
-                localStorage.setItem('completedResetCount', this.resetCount.toString());
-            }
+            // Record the completion (keeps the existing record if there is one)
+            puzzleHistory.markCompleted(this.puzzleDate, this.getHistoryDetails());
+            progressSync.schedulePush(this.puzzleDate);
             
             // Redirect to completion page
-            window.location.href = 'completion.html';
+            window.location.href = this.getCompletionUrl();
             return true;
         }
         return false;
     }
 
+    /**
+     * Completion page for this puzzle (archive results, and puzzles finished after the rollover, carry their date)
+     */
+    getCompletionUrl() {
+        return this.isArchive || this.puzzleDate !== this.getTodayDate()
+            ? `completion.html?date=${this.puzzleDate}`
+            : 'completion.html';
+    }
+
+    /**
+     * A new day's puzzle started while today's was open: offer to switch
+     * Progress on the current puzzle is saved, so it can still be finished from the archive
+     */
+    onPuzzleRollover(today) {
+        if (!this.isTracked() || this.isArchive || this.puzzleDate === today) return;
+        
+        this.clock.pause();
+        this.saveGameState();
+        document.getElementById('new-puzzle-message').textContent =
+            `Puzzle #${puzzleCalendar.getPuzzleNumber(today)} is ready. Your progress on this one is saved in the archive.`;
+        
+        const modal = document.getElementById('new-puzzle-modal');
+        modal.classList.add('show');
+        document.getElementById('new-puzzle-play-btn').onclick = () => {
+            window.location.href = 'game.html';
+        };
+        document.getElementById('new-puzzle-later-btn').onclick = () => {
+            modal.classList.remove('show');
+            if (document.visibilityState !== 'hidden') {
+                this.clock.resume();
+            }
+        };
+    }
+
+    /**
+     * Pick up progress from another device that synced after the game started
+     * The puzzle in play restarts from the synced copy rather than saving over it
+     * @param {string[]} updated - Changed dates, and 'totals' for coins or the best run
+     */
+    onSyncedProgress(updated) {
+        if (this.isTracked() && updated.includes(this.puzzleDate)) {
+            window.location.reload();
+            return;
+        }
+        
+        puzzleHistory.reload();
+        this.coins = this.loadCoins();
+        this.highscore = this.loadHighscore();
+        this.updatePowerUpBar();
+    }
+
+    /**
+     * Details stored in the puzzle history record
+     */
+    getHistoryDetails() {
+        return {
+            tries: this.resetCount,
+            words: this.currentLevelWords,
+            archive: this.isArchive,
+            levelWordsFound: this.foundWords.length,
+            bonusWordsFound: this.otherFoundWords.length,
+            sequence: this.foundSequence,
+            powerUps: this.powerUpsUsed,
+            undos: this.undoCount,
+            time: this.clock.getTotalTime(),
+            tryTime: this.clock.getTryTime()
+        };
+    }
+
     /**
      * Progress to next level
      */
@@ -467,25 +1332,42 @@ class WordJamGame {
         }
         
         // Update highscore
-        if (this.totalWordsFoundInSession > this.highscore) {
-            this.highscore = this.totalWordsFoundInSession;
-            this.saveHighscore();
-        }
+        this.updatePracticeHighscore();
         
         // Progress to next level
         this.currentLevelNumber++;
         await this.generateNewLevel();
+        this.focusedRow = 0;
         this.renderGrid();
         this.updateUI();
         this.showResult(`Level ${this.currentLevelNumber} - Find ${this.wordsNeededForProgression} words!`, 'info');
     }
 
+    /**
+     * Keep the best run (words found in one session) in the highscore storage
+     */
+    updatePracticeHighscore() {
+        if (this.totalWordsFoundInSession > this.highscore) {
+            this.highscore = this.totalWordsFoundInSession;
+            this.saveHighscore();
+            this.updatePuzzleLabel();
+        }
+    }
+
     /**
      * Reset current level using the same words
      */
     async resetLevel() {
+        if (this.showGameOver || this.revealPending) return;
+        
         // Increment reset counter
         this.resetCount++;
+        this.clock.newTry();
+        
+        // Start a new row in the share grid
+        this.foundSequence.push('R');
+        this.saveFoundWords();
+        this.trackProgress();
         
         // Check if we have current level words, if not generate a new level
         if (!this.currentLevelWords || this.currentLevelWords.length === 0) {
@@ -494,8 +1376,9 @@ class WordJamGame {
             // Use the same words to regenerate the level
             console.log(`Resetting level ${this.currentLevelNumber} with same words: ${this.currentLevelWords.join(', ')}`);
             
-            // Generate letter grid from the same words
-            this.letters = this.generateLettersGrid(this.currentLevelWords);
+            // Generate letter grid from the same words, seeded for this try
+            this.letters = this.generateLettersGrid(this.currentLevelWords, this.createPuzzleRandom(this.resetCount));
+            this.undoStack = [];
             
             // Initialize selection to center of each row
             this.initializeSelection();
@@ -505,6 +1388,7 @@ class WordJamGame {
             // Initialize drag state
             this.initializeDragState();
         }
+        this.saveGameState();
         
         // Clear any result messages
         const banner = document.getElementById('result-banner');
@@ -523,8 +1407,10 @@ class WordJamGame {
      * Restart game (full reset)
      */
     async restartGame() {
-        this.lives = 3;
-        this.coins = 0;
+        if (this.isTracked()) {
+            storage.remove(this.getGameStateKey());
+        }
+        this.lives = this.MAX_LIVES;
         this.currentLevelNumber = 1;
         this.totalWordsFoundInSession = 0;
         this.resetCount = 1; // Start at 1 since the first play is try 1
@@ -532,7 +1418,9 @@ class WordJamGame {
         this.foundWordsSet.clear();
         this.otherFoundWords = [];
         this.otherFoundWordsSet.clear();
+        this.foundSequence = [];
         this.showGameOver = false;
+        document.getElementById('reset-btn').disabled = false;
         await this.generateNewLevel();
         this.renderGrid();
         this.updateUI();
@@ -544,6 +1432,11 @@ class WordJamGame {
      */
     renderGrid() {
         const container = document.getElementById('letter-grid-container');
+        
+        // A flick on the old rows must not keep writing offsets for the new ones
+        this.momentumStops.forEach(stop => stop());
+        this.momentumStops.clear();
+        
         // Clear container safely
         while (container.firstChild) {
             container.removeChild(container.firstChild);
@@ -557,6 +1450,9 @@ class WordJamGame {
             return;
         }
         
+        // Keep keyboard focus on an existing row
+        this.focusedRow = Math.max(0, Math.min(this.focusedRow, this.letters.length - 1));
+        
         for (let row = 0; row < this.letters.length; row++) {
             const rowElement = this.createLetterRow(row);
             container.appendChild(rowElement);
@@ -570,6 +1466,9 @@ class WordJamGame {
         // Create outer container (visible area)
         const rowContainer = document.createElement('div');
         rowContainer.className = 'letter-row-container';
+        if (this.keyboardMode && rowIndex === this.focusedRow) {
+            rowContainer.classList.add('focused');
+        }
         rowContainer.dataset.row = rowIndex;
         
         // Create inner scrollable row
@@ -620,206 +1519,255 @@ class WordJamGame {
     }
 
     /**
-     * Setup drag handlers for a row - STARTING FRESH
+     * Setup drag handlers for a row
+     * One Pointer Events path for mouse, touch and pen: the row follows the pointer,
+     * flicks carry on with momentum and the ends pull back with rubber-band resistance.
+     * Each row captures its own pointer, so several rows can be dragged at once.
      */
-    /**
- * Setup drag handlers for a row
- * Continuous snapping while dragging (step-by-step, center-sticky)
- */
-setupRowDragHandlers(rowContainer, rowElement, rowIndex) {
-    let isDragging = false;
-    let startX = 0;
-    let startOffset = 0;
-  
-    // Measurements
-    let baseCenters = null; // center-x of each button when translateX == 0, relative to container
-    let stepPx = null;      // distance between adjacent centers
-  
-    const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-  
-    const computeMetrics = () => {
-      const buttons = Array.from(rowElement.querySelectorAll('.letter-button'));
-      if (buttons.length === 0) {
-        baseCenters = [];
-        stepPx = 0;
-        return;
-      }
-  
-      const containerRect = rowContainer.getBoundingClientRect();
-      const currentOffset = this.dragOffset[rowIndex] || 0;
-  
-      const centers = buttons.map(btn => {
-        const r = btn.getBoundingClientRect();
-        const center = (r.left - containerRect.left) + (r.width / 2);
-        return {
-          col: parseInt(btn.dataset.col, 10),
-          baseCenter: center - currentOffset // normalize to "no transform"
+    setupRowDragHandlers(rowContainer, rowElement, rowIndex) {
+        let activePointerId = null;
+        let startX = 0;
+        let startOffset = 0;
+        let samples = []; // Recent { x, time } pointer positions for velocity
+        let metrics = null; // { centers, columns, min, max } measured at drag start
+        let momentumFrame = null;
+        let moveFrame = null;
+        let pendingX = null;
+        
+        const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+        
+        // Measure letter centers from layout, so the row's transform doesn't matter
+        const computeMetrics = () => {
+            const buttons = Array.from(rowElement.querySelectorAll('.letter-button'));
+            const screenCenter = rowContainer.offsetWidth / 2;
+            const centers = buttons.map(button => button.offsetLeft + button.offsetWidth / 2);
+            const columns = buttons.map(button => parseInt(button.dataset.col, 10));
+            
+            metrics = {
+                centers,
+                columns,
+                screenCenter,
+                max: centers.length > 0 ? screenCenter - centers[0] : 0, // first letter centered
+                min: centers.length > 0 ? screenCenter - centers[centers.length - 1] : 0 // last letter centered
+            };
         };
-      });
-  
-      centers.sort((a, b) => a.col - b.col);
-      baseCenters = centers.map(x => x.baseCenter);
-  
-      if (baseCenters.length >= 2) {
-        stepPx = baseCenters[1] - baseCenters[0];
-      } else {
-        stepPx = this.BUTTON_WIDTH + this.BUTTON_SPACING; // fallback
-      }
-    };
-  
-    const getBounds = () => {
-      if (!baseCenters || baseCenters.length === 0) return { min: 0, max: 0 };
-  
-      const screenCenter = rowContainer.offsetWidth / 2;
-      const firstCenter = baseCenters[0];
-      const lastCenter = baseCenters[baseCenters.length - 1];
-  
-      return {
-        max: screenCenter - firstCenter, // center first
-        min: screenCenter - lastCenter   // center last
-      };
-    };
-  
-    const offsetToIndex = (offset) => {
-      if (!baseCenters || baseCenters.length === 0) return 0;
-  
-      const screenCenter = rowContainer.offsetWidth / 2;
-      const firstCenter = baseCenters[0];
-  
-      const raw = (screenCenter - (firstCenter + offset)) / stepPx;
-      return clamp(Math.round(raw), 0, baseCenters.length - 1);
-    };
-  
-    const indexToOffset = (idx) => {
-      if (!baseCenters || baseCenters.length === 0) return 0;
-      const screenCenter = rowContainer.offsetWidth / 2;
-      return screenCenter - baseCenters[idx];
-    };
-  
-    const applyOffset = (offset) => {
-      this.dragOffset[rowIndex] = offset;
-      this.baseOffset[rowIndex] = offset;
-      rowElement.style.transform = `translateX(${offset}px)`;
-    };
-
-    const applySelection = (snappedIndex) => {
-      const prevIndex = this.selectedColumnIndices[rowIndex] || 0;
-      if (snappedIndex !== prevIndex) {
-        this.selectedColumnIndices[rowIndex] = snappedIndex;
-        this.updateRowSelection(rowIndex);
-      }
-    };
-  
-    const handleStart = (clientX) => {
-      isDragging = true;
-      this.isDragging[rowIndex] = true;
-      startX = clientX;
-      startOffset = this.dragOffset[rowIndex] || 0;
-  
-      rowContainer.style.cursor = 'grabbing';
-      rowElement.style.transition = 'none';
-  
-      computeMetrics();
-    };
-  
-    // RAF throttle to keep movement smooth
-    let pendingMove = null;
-    let rafId = null;
-
-    const processMove = (clientX) => {
-      if (!isDragging || !this.isDragging[rowIndex]) return;
-
-      if (!baseCenters || baseCenters.length === 0 || !stepPx) computeMetrics();
-
-      const deltaX = clientX - startX;
-      const proposedOffset = startOffset + deltaX;
-
-      const bounds = getBounds();
-      const clampedOffset = clamp(proposedOffset, bounds.min, bounds.max);
-
-      // SMOOTH DRAG: follow the finger exactly (shows direction),
-      // but update the selected index based on which letter is closest to center.
-      applyOffset(clampedOffset);
-
-      const idx = offsetToIndex(clampedOffset);
-      applySelection(idx);
-    };
-
-    const handleMove = (clientX) => {
-      pendingMove = clientX;
-      if (rafId) return;
-      rafId = requestAnimationFrame(() => {
-        rafId = null;
-        if (pendingMove !== null) {
-          processMove(pendingMove);
-          pendingMove = null;
-        }
-      });
-    };
-  
-    const handleEnd = () => {
-      if (!isDragging) return;
-      isDragging = false;
-      this.isDragging[rowIndex] = false;
-      rowContainer.style.cursor = 'grab';
-
-      // SNAP ON RELEASE: animate to the nearest centered letter
-      computeMetrics();
-      const idx = clamp(this.selectedColumnIndices[rowIndex] || 0, 0, (baseCenters?.length || 1) - 1);
-      const snappedOffset = indexToOffset(idx);
-
-      rowElement.style.transition = 'transform 120ms ease-out';
-      applyOffset(snappedOffset);
-
-      // Clear transition after it settles
-      setTimeout(() => {
-        rowElement.style.transition = 'none';
-      }, 140);
-    };
-  
-    // Mouse events
-    const mouseMoveHandler = (e) => handleMove(e.clientX);
-    const mouseUpHandler = () => {
-      handleEnd();
-      document.removeEventListener('mousemove', mouseMoveHandler);
-      document.removeEventListener('mouseup', mouseUpHandler);
-    };
-  
-    rowContainer.addEventListener('mousedown', (e) => {
-      handleStart(e.clientX);
-      document.addEventListener('mousemove', mouseMoveHandler);
-      document.addEventListener('mouseup', mouseUpHandler);
-      e.preventDefault();
-    });
-  
-    // Touch events
-    const touchMoveHandler = (e) => {
-      handleMove(e.touches[0].clientX);
-      e.preventDefault();
-    };
-    const touchEndHandler = () => {
-      handleEnd();
-      document.removeEventListener('touchmove', touchMoveHandler);
-      document.removeEventListener('touchend', touchEndHandler);
-    };
-  
-    rowContainer.addEventListener('touchstart', (e) => {
-      handleStart(e.touches[0].clientX);
-      document.addEventListener('touchmove', touchMoveHandler, { passive: false });
-      document.addEventListener('touchend', touchEndHandler);
-      e.preventDefault();
-    });
-  
-    // Keep centered selection stable after resizes
-    window.addEventListener('resize', () => {
-      computeMetrics();
-      const idx = clamp(this.selectedColumnIndices[rowIndex] || 0, 0, (baseCenters?.length || 1) - 1);
-      const snappedOffset = indexToOffset(idx);
-      rowElement.style.transition = 'none';
-      applyOffset(snappedOffset);
-      applySelection(idx);
-    });
-  }
+        
+        // Column of the letter closest to the center for an offset
+        const offsetToColumn = (offset) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            metrics.centers.forEach((center, position) => {
+                const distance = Math.abs(metrics.screenCenter - (center + offset));
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = position;
+                }
+            });
+            return metrics.columns.length > 0 ? metrics.columns[best] : 0;
+        };
+        
+        // Resistance past either end: the further the overshoot, the less the row follows
+        const rubberBand = (offset) => {
+            const dimension = rowContainer.offsetWidth || 1;
+            const resist = (distance) => (distance * dimension * this.RUBBER_BAND) / (dimension + this.RUBBER_BAND * distance);
+            if (offset > metrics.max) return metrics.max + resist(offset - metrics.max);
+            if (offset < metrics.min) return metrics.min - resist(metrics.min - offset);
+            return offset;
+        };
+        
+        const applyOffset = (offset) => {
+            this.dragOffset[rowIndex] = offset;
+            this.baseOffset[rowIndex] = offset;
+            rowElement.style.transform = `translateX(${offset}px)`;
+        };
+        
+        const applySelection = (column) => {
+            if (column !== this.selectedColumnIndices[rowIndex]) {
+                this.selectedColumnIndices[rowIndex] = column;
+                this.updateRowSelection(rowIndex);
+            }
+        };
+        
+        // Velocity in px/ms over the last few pointer samples
+        const getVelocity = () => {
+            if (samples.length < 2) return 0;
+            const first = samples[0];
+            const last = samples[samples.length - 1];
+            const elapsed = last.time - first.time;
+            return elapsed > 0 ? (last.x - first.x) / elapsed : 0;
+        };
+        
+        const recordSample = (x) => {
+            const now = performance.now();
+            samples.push({ x, time: now });
+            samples = samples.filter(sample => now - sample.time <= this.VELOCITY_WINDOW_MS);
+        };
+        
+        const stopMomentum = () => {
+            if (momentumFrame) {
+                cancelAnimationFrame(momentumFrame);
+                momentumFrame = null;
+            }
+            this.momentumStops.delete(stopMomentum);
+        };
+        
+        // Animate to the letter that ended up in the center
+        const settle = () => {
+            rowElement.style.transition = 'transform 120ms ease-out';
+            this.snapToNearestLetter(rowIndex, rowContainer, rowElement);
+            
+            // Clear transition after it settles
+            setTimeout(() => {
+                if (activePointerId === null) {
+                    rowElement.style.transition = 'none';
+                }
+            }, 140);
+        };
+        
+        // Let a flick keep the row moving, slowing down until it snaps
+        const startMomentum = (velocity) => {
+            let lastTime = performance.now();
+            
+            const step = (now) => {
+                // The grid may have been re-rendered in the meantime
+                if (!rowElement.isConnected) {
+                    stopMomentum();
+                    return;
+                }
+                
+                const elapsed = Math.min(now - lastTime, 32);
+                lastTime = now;
+                velocity *= Math.pow(this.MOMENTUM_FRICTION, elapsed / 16);
+                
+                let offset = (this.dragOffset[rowIndex] || 0) + velocity * elapsed;
+                if (offset >= metrics.max || offset <= metrics.min) {
+                    // Hitting an end stops the flick there
+                    offset = clamp(offset, metrics.min, metrics.max);
+                    velocity = 0;
+                }
+                applyOffset(offset);
+                applySelection(offsetToColumn(offset));
+                
+                if (Math.abs(velocity) > this.MOMENTUM_MIN_VELOCITY) {
+                    momentumFrame = requestAnimationFrame(step);
+                } else {
+                    stopMomentum();
+                    settle();
+                }
+            };
+            
+            momentumFrame = requestAnimationFrame(step);
+            this.momentumStops.add(stopMomentum);
+        };
+        
+        const processMove = () => {
+            moveFrame = null;
+            if (activePointerId === null || pendingX === null) return;
+            
+            const offset = rubberBand(startOffset + (pendingX - startX));
+            pendingX = null;
+            applyOffset(offset);
+            applySelection(offsetToColumn(clamp(offset, metrics.min, metrics.max)));
+        };
+        
+        const endDrag = (allowMomentum) => {
+            if (activePointerId === null) return;
+            activePointerId = null;
+            this.isDragging[rowIndex] = false;
+            rowContainer.style.cursor = 'grab';
+            
+            if (moveFrame) {
+                cancelAnimationFrame(moveFrame);
+                processMove();
+            }
+            
+            const offset = this.dragOffset[rowIndex] || 0;
+            const overshooting = offset > metrics.max || offset < metrics.min;
+            const velocity = getVelocity();
+            
+            if (allowMomentum && !overshooting && Math.abs(velocity) >= this.FLICK_MIN_VELOCITY) {
+                startMomentum(velocity);
+            } else {
+                settle();
+            }
+        };
+        
+        rowContainer.addEventListener('pointerdown', (e) => {
+            // One pointer per row; other pointers may still drag other rows
+            if (activePointerId !== null) return;
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            
+            // Dragging a row also gives it keyboard focus
+            this.focusedRow = rowIndex;
+            this.setKeyboardMode(false);
+            
+            // The first drag starts the puzzle clock
+            this.clock.start();
+            
+            stopMomentum();
+            computeMetrics();
+            
+            activePointerId = e.pointerId;
+            rowContainer.setPointerCapture(e.pointerId);
+            this.isDragging[rowIndex] = true;
+            this.dragStartX[rowIndex] = e.clientX;
+            startX = e.clientX;
+            startOffset = this.dragOffset[rowIndex] || 0;
+            samples = [];
+            recordSample(e.clientX);
+            
+            rowContainer.style.cursor = 'grabbing';
+            rowElement.style.transition = 'none';
+            e.preventDefault();
+        });
+        
+        rowContainer.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== activePointerId) return;
+            recordSample(e.clientX);
+            
+            // RAF throttle to keep movement smooth
+            pendingX = e.clientX;
+            if (!moveFrame) {
+                moveFrame = requestAnimationFrame(processMove);
+            }
+        });
+        
+        rowContainer.addEventListener('pointerup', (e) => {
+            if (e.pointerId !== activePointerId) return;
+            recordSample(e.clientX);
+            endDrag(true);
+        });
+        
+        // The browser took the pointer away (e.g. a system gesture): just snap
+        rowContainer.addEventListener('pointercancel', (e) => {
+            if (e.pointerId !== activePointerId) return;
+            endDrag(false);
+        });
+        
+        rowContainer.addEventListener('lostpointercapture', (e) => {
+            if (e.pointerId !== activePointerId) return;
+            endDrag(false);
+        });
+    }
+
+    /**
+     * Re-center every row on its selected letter (e.g. after a resize)
+     */
+    recenterRows() {
+        const containers = document.querySelectorAll('.letter-row-container');
+        containers.forEach((rowContainer) => {
+            const rowIndex = parseInt(rowContainer.dataset.row, 10);
+            if (this.isDragging[rowIndex]) return;
+            
+            const rowElement = rowContainer.querySelector('.letter-row');
+            const selected = this.selectedColumnIndices[rowIndex] || 0;
+            const targetOffset = this.calculateOffsetForIndex(rowIndex, selected, rowContainer, rowElement);
+            this.dragOffset[rowIndex] = targetOffset;
+            this.baseOffset[rowIndex] = targetOffset;
+            rowElement.style.transition = 'none';
+            rowElement.style.transform = `translateX(${targetOffset}px)`;
+        });
+    }
 
     /**
      * Calculate which letter index is currently centered
@@ -879,12 +1827,9 @@ setupRowDragHandlers(rowContainer, rowElement, rowIndex) {
         
         if (!targetButton) return 0;
         
-        // Get the button's position relative to the container
-        const buttonRect = targetButton.getBoundingClientRect();
-        const containerRect = rowContainer.getBoundingClientRect();
-        
-        // Button center relative to container's left edge
-        const buttonCenter = (buttonRect.left - containerRect.left) + (buttonRect.width / 2);
+        // Button center relative to the container's left edge, measured from layout
+        // (offsetLeft ignores the row's current transform, so the result is an absolute offset)
+        const buttonCenter = targetButton.offsetLeft + (targetButton.offsetWidth / 2);
         
         // Offset needed to center this button at screen center
         return screenCenter - buttonCenter;
@@ -944,6 +1889,7 @@ setupRowDragHandlers(rowContainer, rowElement, rowIndex) {
         
         // Update visual selection
         this.updateRowSelection(rowIndex);
+        this.saveGameState();
     }
 
     /**
@@ -972,6 +1918,76 @@ setupRowDragHandlers(rowContainer, rowElement, rowIndex) {
         
         // Update found words display
         this.updateFoundWordsDisplay();
+        
+        this.updateLivesDisplay();
+        this.updatePowerUpBar();
+        
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = this.showGameOver || this.undoStack.length === 0;
+        }
+    }
+
+    /**
+     * Show remaining lives as hearts in the header (lives mode only)
+     */
+    updateLivesDisplay() {
+        const heartsDisplay = document.getElementById('hearts-display');
+        if (!heartsDisplay) return;
+        
+        heartsDisplay.classList.toggle('show', this.livesMode);
+        if (!this.livesMode) return;
+        
+        heartsDisplay.textContent = '';
+        heartsDisplay.setAttribute('aria-label', `${this.lives} of ${this.MAX_LIVES} lives left`);
+        for (let i = 0; i < this.MAX_LIVES; i++) {
+            const heart = document.createElement('img');
+            heart.src = 'img/heart-fill.svg';
+            heart.alt = '';
+            heart.className = 'heart';
+            if (i >= this.lives) {
+                heart.classList.add('lost');
+            }
+            heartsDisplay.appendChild(heart);
+        }
+    }
+
+    /**
+     * Label the puzzle: its number, plus the date for archive puzzles
+     */
+    updatePuzzleLabel() {
+        const label = document.getElementById('puzzle-label');
+        if (!label) return;
+        
+        if (this.isPractice) {
+            label.textContent = `Practice · Level ${this.currentLevelNumber} · Best run ${this.highscore} ${this.highscore === 1 ? 'word' : 'words'}`;
+            label.classList.add('show');
+        } else if (this.isCustom) {
+            label.textContent = 'Custom puzzle';
+            label.classList.add('show');
+        } else if (this.isArchive) {
+            const [year, month, day] = this.puzzleDate.split('-').map(Number);
+            const formatted = new Date(year, month - 1, day).toLocaleDateString(undefined, {
+                month: 'short',
+                day: 'numeric',
+                year: 'numeric'
+            });
+            label.textContent = `Archive · ${formatted} · #${puzzleCalendar.getPuzzleNumber(this.puzzleDate)}`;
+            label.classList.add('show');
+        } else {
+            label.textContent = `Puzzle #${puzzleCalendar.getPuzzleNumber(this.puzzleDate)}`;
+            label.classList.add('show');
+        }
+    }
+
+    /**
+     * Show or hide the "playing offline" indicator
+     */
+    updateOfflineIndicator(online) {
+        const indicator = document.getElementById('offline-indicator');
+        if (indicator) {
+            indicator.classList.toggle('show', !online);
+        }
     }
 
     /**
@@ -989,79 +2005,100 @@ setupRowDragHandlers(rowContainer, rowElement, rowIndex) {
     }
 
     /**
-     * Get storage key for found words based on current level words
+     * Storage key for the found words, lives and power-ups of the current puzzle date
      */
-    getFoundWordsStorageKey() {
-        if (!this.currentLevelWords || this.currentLevelWords.length === 0) {
-            return 'wordjam_foundWords_default';
-        }
-        // Create a key based on sorted level words (so same level = same key)
-        const sortedWords = [...this.currentLevelWords].sort().join(',');
-        return `wordjam_foundWords_${sortedWords}`;
+    getProgressKey() {
+        return storage.dayKey('progress', this.puzzleDate);
     }
 
     /**
-     * Load found words from localStorage
+     * Load found words, lives and power-ups for this puzzle date
      */
     loadFoundWords() {
-        const key = this.getFoundWordsStorageKey();
-        const saved = localStorage.getItem(key);
-        if (saved) {
-            try {
-                const data = JSON.parse(saved);
-                
-                // Handle both old format (array) and new format (object)
-                if (Array.isArray(data)) {
-                    // Old format - migrate to new format
-                    this.foundWords = data.filter(word => 
-                        this.currentLevelWords.some(levelWord => 
-                            levelWord.toUpperCase() === word.toUpperCase()
-                        )
-                    );
-                    this.otherFoundWords = [];
-                } else {
-                    // New format with levelWords and otherWords
-                    const loadedLevelWords = data.levelWords || [];
-                    const loadedOtherWords = data.otherWords || [];
-                    
-                    // Filter to only include words that are in the current level's words
-                    this.foundWords = loadedLevelWords.filter(word => 
-                        this.currentLevelWords.some(levelWord => 
-                            levelWord.toUpperCase() === word.toUpperCase()
-                        )
-                    );
-                    this.otherFoundWords = loadedOtherWords;
-                }
-                
-                this.foundWordsSet = new Set(this.foundWords);
-                this.otherFoundWordsSet = new Set(this.otherFoundWords);
-                console.log(`Loaded ${this.foundWords.length} level words and ${this.otherFoundWords.length} other words from storage`);
-            } catch (e) {
-                console.error('Error loading found words:', e);
-                this.foundWords = [];
-                this.foundWordsSet = new Set();
-                this.otherFoundWords = [];
-                this.otherFoundWordsSet = new Set();
-            }
+        // Practice levels and linked puzzles start empty and aren't saved; lives and power-ups last for the whole run
+        if (!this.isTracked()) {
+            this.foundWords = [];
+            this.foundWordsSet = new Set();
+            this.otherFoundWords = [];
+            this.otherFoundWordsSet = new Set();
+            this.foundSequence = [];
+            this.hintProgress = null;
+            this.updateFoundWordsDisplay();
+            return;
+        }
+        
+        // Progress saved before per-date keys moves to this date the first time its puzzle loads
+        storage.adoptLegacyProgress(this.puzzleDate, this.currentLevelWords);
+        
+        // Progress only counts if it was saved for these exact words (a date's puzzle can be replaced)
+        const data = storage.get(this.getProgressKey());
+        const words = [...this.currentLevelWords].sort().join(',');
+        if (data && typeof data === 'object' && Array.isArray(data.words) && data.words.join(',') === words) {
+            const loadedLevelWords = Array.isArray(data.levelWords) ? data.levelWords : [];
+            const loadedOtherWords = Array.isArray(data.otherWords) ? data.otherWords : [];
+            
+            // Filter to only include words that are in the current level's words
+            this.foundWords = loadedLevelWords.filter(word => 
+                this.currentLevelWords.some(levelWord => 
+                    levelWord.toUpperCase() === word.toUpperCase()
+                )
+            );
+            this.otherFoundWords = loadedOtherWords;
+            
+            // Older saves have no sequence: assume level words came first
+            this.foundSequence = Array.isArray(data.sequence)
+                ? data.sequence.filter(entry => ['L', 'B', 'V', 'R'].includes(entry))
+                : [...this.foundWords.map(() => 'L'), ...this.otherFoundWords.map(() => 'B')];
+            
+            // Lives belong to the puzzle, so reloading doesn't refill them
+            this.lives = Number.isInteger(data.lives)
+                ? Math.min(Math.max(data.lives, 0), this.MAX_LIVES)
+                : this.MAX_LIVES;
+            
+            const powerUps = data.powerUps || {};
+            this.powerUpsUsed = {
+                hint: parseInt(powerUps.hint, 10) || 0,
+                shuffle: parseInt(powerUps.shuffle, 10) || 0,
+                reveal: parseInt(powerUps.reveal, 10) || 0
+            };
+            this.undoCount = parseInt(data.undos, 10) || 0;
+            
+            this.foundWordsSet = new Set(this.foundWords);
+            this.otherFoundWordsSet = new Set(this.otherFoundWords);
+            console.log(`Loaded ${this.foundWords.length} level words and ${this.otherFoundWords.length} other words from storage`);
         } else {
             this.foundWords = [];
             this.foundWordsSet = new Set();
             this.otherFoundWords = [];
             this.otherFoundWordsSet = new Set();
+            this.foundSequence = [];
+            this.lives = this.MAX_LIVES;
+            this.powerUpsUsed = { hint: 0, shuffle: 0, reveal: 0 };
+            this.undoCount = 0;
         }
+        this.hintProgress = null;
         this.updateFoundWordsDisplay();
     }
 
     /**
-     * Save found words to localStorage
+     * Save found words, lives and power-ups for this puzzle date
      */
     saveFoundWords() {
-        const key = this.getFoundWordsStorageKey();
+        if (!this.isTracked()) {
+            this.updateFoundWordsDisplay();
+            return;
+        }
+        
         const data = {
+            words: [...this.currentLevelWords].sort(),
             levelWords: this.foundWords,
-            otherWords: this.otherFoundWords
+            otherWords: this.otherFoundWords,
+            sequence: this.foundSequence,
+            lives: this.lives,
+            powerUps: this.powerUpsUsed,
+            undos: this.undoCount
         };
-        localStorage.setItem(key, JSON.stringify(data));
+        storage.set(this.getProgressKey(), data);
         this.updateFoundWordsDisplay();
     }
 
@@ -1099,6 +2136,14 @@ setupRowDragHandlers(rowContainer, rowElement, rowIndex) {
             }
         }
         
+        // Show how many of the grid's bonus words have been found
+        const otherWordsTotal = document.getElementById('other-words-total');
+        if (otherWordsTotal) {
+            otherWordsTotal.textContent = this.bonusWordsAvailable > 0
+                ? `(${this.otherFoundWords.length} of ${this.bonusWordsAvailable})`
+                : '';
+        }
+        
         // Display other words found
         if (otherWordsList) {
             // Clear existing content
@@ -1145,30 +2190,26 @@ setupRowDragHandlers(rowContainer, rowElement, rowIndex) {
     }
 
     /**
-     * Load highscore from localStorage
+     * Load highscore from storage
      */
     loadHighscore() {
-        const saved = localStorage.getItem('wordjam_highscore');
-        return saved ? parseInt(saved, 10) : 0;
+        return parseInt(storage.get('highscore'), 10) || 0;
     }
 
     /**
-     * Save highscore to localStorage
+     * Save highscore to storage
      */
     saveHighscore() {
-        localStorage.setItem('wordjam_highscore', this.highscore.toString());
+        storage.set('highscore', this.highscore);
     }
 
     /**
      * Utility: Shuffle array
+     * @param {Array} array - Array to shuffle (not modified)
+     * @param {Function} [random] - Random source returning [0, 1) (defaults to Math.random)
      */
-    shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+    shuffleArray(array, random = Math.random) {
+        return letterGrid.shuffle(array, random);
     }
 }
 
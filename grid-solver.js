@@ -0,0 +1,169 @@
+/**
+ * Grid solver
+ * Finds every dictionary word that can be built from a slide grid by choosing
+ * one column per row, following the same rules as buildWordFromSelection
+ */
+class GridSolver {
+    constructor(dictionary) {
+        this.dictionary = dictionary;
+    }
+
+    /**
+     * Describe each row by the letters it offers
+     * A row that still contains a blank (' ') may contribute no letter at all,
+     * because buildWordFromSelection skips blank cells
+     * @param {string[][]} letters - Grid rows, as produced by generateLettersGrid
+     * @returns {{letters: Set<string>, canSkip: boolean}[]}
+     */
+    describeRows(letters) {
+        return letters.map(row => {
+            const rowLetters = new Set();
+            let canSkip = false;
+            for (const letter of row) {
+                if (!letter || letter === ' ') {
+                    canSkip = true;
+                } else {
+                    rowLetters.add(letter.toUpperCase());
+                }
+            }
+            return { letters: rowLetters, canSkip };
+        });
+    }
+
+    /**
+     * Compute which word positions can be reached after each row
+     * reachable[r] is a bitmask of letter counts that rows 0..r-1 can produce
+     * @param {{letters: Set<string>, canSkip: boolean}[]} rows
+     * @param {string} word - Uppercase word
+     * @returns {number[]} Bitmasks, one per row boundary (rows.length + 1 entries)
+     */
+    computeReachable(rows, word) {
+        const reachable = [1]; // Before the first row, zero letters have been used
+        let current = 1;
+
+        for (const row of rows) {
+            let next = 0;
+            for (let used = 0; used <= word.length; used++) {
+                if (!(current & (1 << used))) continue;
+                if (row.canSkip) {
+                    next |= 1 << used;
+                }
+                if (used < word.length && row.letters.has(word[used])) {
+                    next |= 1 << (used + 1);
+                }
+            }
+            current = next;
+            reachable.push(current);
+            if (current === 0) break;
+        }
+
+        return reachable;
+    }
+
+    /**
+     * Check whether a word can be built from the described rows
+     */
+    canBuild(rows, word) {
+        if (word.length > rows.length) return false;
+        const reachable = this.computeReachable(rows, word);
+        if (reachable.length !== rows.length + 1) return false;
+        return (reachable[rows.length] & (1 << word.length)) !== 0;
+    }
+
+    /**
+     * Enumerate every dictionary word reachable from a grid
+     * @param {string[][]} letters - Grid rows
+     * @param {Object} [options]
+     * @param {number} [options.length] - Only return words of this length
+     * @returns {string[]} Sorted array of uppercase words
+     */
+    solve(letters, options = {}) {
+        if (!letters || letters.length === 0) return [];
+
+        const rows = this.describeRows(letters);
+        const skippableRows = rows.filter(row => row.canSkip).length;
+
+        // A word has to take a letter from every row that has no blank
+        let minLength = rows.length - skippableRows;
+        let maxLength = rows.length;
+        if (options.length !== undefined) {
+            if (options.length < minLength || options.length > maxLength) return [];
+            minLength = options.length;
+            maxLength = options.length;
+        }
+
+        // Letters available anywhere in the grid, for a cheap pre-filter
+        const gridLetters = new Set();
+        rows.forEach(row => row.letters.forEach(letter => gridLetters.add(letter)));
+
+        const found = [];
+        for (let length = Math.max(minLength, 1); length <= maxLength; length++) {
+            const words = this.dictionary.wordList(length);
+            for (const word of words) {
+                let usable = true;
+                for (let i = 0; i < word.length; i++) {
+                    if (!gridLetters.has(word[i])) {
+                        usable = false;
+                        break;
+                    }
+                }
+                if (usable && this.canBuild(rows, word)) {
+                    found.push(word);
+                }
+            }
+        }
+
+        return found.sort();
+    }
+
+    /**
+     * Find the column to select in each row to spell a word
+     * @param {string[][]} letters - Grid rows
+     * @param {string} word - Word to spell
+     * @param {number[]} [preferred] - Current selection; ties go to the closest column
+     * @returns {number[]|null} Column index per row, or null if the word can't be built
+     */
+    findSelection(letters, word, preferred = []) {
+        if (!word) return null;
+        const target = word.toUpperCase();
+        const rows = this.describeRows(letters);
+        if (!this.canBuild(rows, target)) return null;
+
+        const reachable = this.computeReachable(rows, target);
+        const selection = Array(rows.length).fill(0);
+        let used = target.length;
+
+        // Walk back from the last row, preferring to take a letter over skipping
+        for (let r = rows.length - 1; r >= 0; r--) {
+            const before = reachable[r];
+            const takesLetter = used > 0
+                && rows[r].letters.has(target[used - 1])
+                && (before & (1 << (used - 1))) !== 0;
+
+            const wanted = takesLetter ? target[used - 1] : ' ';
+            selection[r] = this.closestColumn(letters[r], wanted, preferred[r]);
+            if (takesLetter) used--;
+        }
+
+        return selection;
+    }
+
+    /**
+     * Column in a row holding a letter, closest to a preferred column
+     */
+    closestColumn(row, letter, preferredCol) {
+        const origin = typeof preferredCol === 'number' ? preferredCol : Math.floor(row.length / 2);
+        let best = -1;
+        for (let col = 0; col < row.length; col++) {
+            const cell = (row[col] || ' ').toUpperCase();
+            if (cell !== letter) continue;
+            if (best === -1 || Math.abs(col - origin) < Math.abs(best - origin)) {
+                best = col;
+            }
+        }
+        return Math.max(best, 0);
+    }
+}
+
+// Create global solver instance
+const gridSolver = new GridSolver(dictionary);
@@ -1,59 +1,62 @@
 document.addEventListener('DOMContentLoaded', () => {
-    const playBtn = document.getElementById('play-btn');
     const offlineMessage = document.getElementById('offline-message');
-    
-    function checkConnectivity() {
-        // Check if navigator.onLine is available
-        if (typeof navigator.onLine !== 'undefined') {
-            if (navigator.onLine) {
-                handleOnline();
-            } else {
-                handleOffline();
-            }
-        } else {
-            // Fallback: assume online if navigator.onLine is not available
-            handleOnline();
-        }
-    }
-    
-    function handleOffline() {
-        // Disable the play button
-        playBtn.style.pointerEvents = 'none';
-        playBtn.style.opacity = '0.5';
-        playBtn.style.cursor = 'not-allowed';
-        
-        // Show offline message
-        offlineMessage.style.display = 'block';
-    }
-    
-    function handleOnline() {
-        // Enable the play button
-        playBtn.style.pointerEvents = 'auto';
-        playBtn.style.opacity = '1';
-        playBtn.style.cursor = 'pointer';
-        
-        // Hide offline message
-        offlineMessage.style.display = 'none';
+
+    function updateOfflineMessage(online) {
+        // The game still works offline (service worker + cached puzzle), so only inform the player
+        offlineMessage.style.display = online ? 'none' : 'block';
     }
-    
-    // Check connectivity on page load
-    checkConnectivity();
-    
-    // Listen for online/offline events
-    window.addEventListener('online', () => {
-        checkConnectivity();
+
+    // Re-check reachability whenever the browser reports a network change
+    connectivity.onChange(updateOfflineMessage);
+    connectivity.watch();
+
+    // Check reachability on page load
+    connectivity.check().then(updateOfflineMessage);
+
+    // Lives mode is read by the game when a puzzle starts
+    const livesModeToggle = document.getElementById('lives-mode-toggle');
+    livesModeToggle.checked = gameSettings.get('livesMode');
+    livesModeToggle.addEventListener('change', () => {
+        gameSettings.set('livesMode', livesModeToggle.checked);
     });
-    
-    window.addEventListener('offline', () => {
-        handleOffline();
+
+    // Sync starts the next time a puzzle is opened
+    const syncToggle = document.getElementById('sync-toggle');
+    syncToggle.checked = gameSettings.get('sync');
+    syncToggle.addEventListener('change', () => {
+        gameSettings.set('sync', syncToggle.checked);
     });
-    
-    // Prevent navigation if offline
-    playBtn.addEventListener('click', (e) => {
-        if (navigator.onLine === false || playBtn.style.pointerEvents === 'none') {
-            e.preventDefault();
-            return false;
+
+    // Progress export/import, for moving to another browser or device
+    const transferStatus = document.getElementById('progress-transfer-status');
+    const importInput = document.getElementById('import-progress-input');
+
+    document.getElementById('export-progress-btn').addEventListener('click', async () => {
+        try {
+            await progressTransfer.download();
+            transferStatus.textContent = 'Progress exported';
+        } catch (error) {
+            console.error('Error exporting progress:', error);
+            transferStatus.textContent = `Could not export progress. ${error.message}`;
         }
     });
-});
 
+    document.getElementById('import-progress-btn').addEventListener('click', () => {
+        importInput.click();
+    });
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+
+        try {
+            const payload = await progressTransfer.readFile(file);
+            const { added, updated, kept } = progressTransfer.merge(payload);
+            transferStatus.textContent = `Imported: ${added} new, ${updated} updated, ${kept} kept from this device`;
+        } catch (error) {
+            console.error('Error importing progress:', error);
+            transferStatus.textContent = error.message;
+        }
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Daily leaderboard
+ * Finished daily results go to daily_results/{date}/entries/{uid} (one per player, never changed),
+ * together with a tries histogram in daily_results/{date} that gives the percentile without
+ * reading every entry. Archive, practice and linked puzzles are never submitted.
+ */
+class Leaderboard {
+    constructor(config) {
+        this.size = Number.isInteger(config.leaderboardSize) ? config.leaderboardSize : 10;
+        this.MAX_TRIES_BUCKET = 20; // Last histogram bucket collects 20+ tries
+        // Largest values firestore.rules accepts in an entry
+        this.MAX_TRIES = 1000;
+        this.MAX_TIME_MS = 7 * 24 * 60 * 60 * 1000;
+        this.MAX_BONUS_WORDS = 5000;
+    }
+
+    /**
+     * Whether the page has what the leaderboard needs
+     */
+    isAvailable() {
+        return typeof firebase !== 'undefined' && typeof firebase.auth === 'function' && typeof firebaseService !== 'undefined';
+    }
+
+    /**
+     * Histogram key of a tries count
+     */
+    getBucket(tries) {
+        return String(Math.min(Math.max(tries, 1), this.MAX_TRIES_BUCKET));
+    }
+
+    dayRef(date) {
+        return firebaseService.db.collection('daily_results').doc(date);
+    }
+
+    /**
+     * Submit a finished daily result, once per player and date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {Object} record - Completed, non-archive puzzle history record
+     * @returns {Promise<{uid: string, tries: number}>} The player's uid and submitted tries
+     *     (the first result stands if the puzzle was reset and finished again)
+     */
+    async submit(date, record) {
+        const user = await firebaseService.getUser();
+        const entryRef = this.dayRef(date).collection('entries').doc(user.uid);
+        const existing = await entryRef.get();
+        if (existing.exists) {
+            return { uid: user.uid, tries: existing.data().tries };
+        }
+
+        const tries = Math.min(Math.max(1, parseInt(record.tries, 10) || 1), this.MAX_TRIES);
+        const increment = firebase.firestore.FieldValue.increment(1);
+
+        // The entry and the histogram change together; firestore.rules rejects either one alone
+        const batch = firebaseService.db.batch();
+        batch.set(entryRef, {
+            tries,
+            time: Math.min(Math.max(0, Math.round(Number(record.time) || 0)), this.MAX_TIME_MS),
+            bonusWords: Math.min(Math.max(0, parseInt(record.bonusWordsFound, 10) || 0), this.MAX_BONUS_WORDS),
+            submittedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        batch.set(this.dayRef(date), { players: increment, tries: { [this.getBucket(tries)]: increment } }, { merge: true });
+        await batch.commit();
+        console.log(`Submitted leaderboard result for ${date}`);
+        return { uid: user.uid, tries };
+    }
+
+    /**
+     * Share of the other players who needed more tries
+     * @param {Object} summary - daily_results/{date} document ({ players, tries: { bucket: count } })
+     * @param {number} tries
+     * @returns {{others: number, percent: number}}
+     */
+    getPercentile(summary, tries) {
+        const bucket = Number(this.getBucket(tries));
+        const counts = summary && summary.tries ? summary.tries : {};
+        const others = Math.max(0, (parseInt(summary && summary.players, 10) || 0) - 1);
+        const moreTries = Object.keys(counts)
+            .filter(key => Number(key) > bucket)
+            .reduce((total, key) => total + (parseInt(counts[key], 10) || 0), 0);
+        return { others, percent: others > 0 ? Math.round((moreTries / others) * 100) : 0 };
+    }
+
+    /**
+     * Percentile summary and best results of a date
+     * @returns {Promise<{summary: Object|null, top: Object[]}>} top entries have uid, tries, time, bonusWords
+     */
+    async load(date) {
+        const [summarySnapshot, topSnapshot] = await Promise.all([
+            this.dayRef(date).get(),
+            this.size > 0
+                ? this.dayRef(date).collection('entries').orderBy('tries').orderBy('time').limit(this.size).get()
+                : null
+        ]);
+
+        const top = [];
+        if (topSnapshot) {
+            topSnapshot.forEach(doc => top.push(Object.assign({ uid: doc.id }, doc.data())));
+        }
+        return { summary: summarySnapshot.exists ? summarySnapshot.data() : null, top };
+    }
+}
+
+// Create global leaderboard from the app configuration
+const leaderboard = new Leaderboard(APP_CONFIG);
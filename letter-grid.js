@@ -0,0 +1,50 @@
+/**
+ * Letter grid generator
+ * Builds the slide grid for a set of words: row N holds the Nth letter of every word,
+ * shuffled. Shared by the game, the difficulty analyzer and the puzzle tools.
+ */
+class LetterGridGenerator {
+    /**
+     * Generate letters grid from valid words
+     * @param {string[]} validWords - Words to distribute into the grid
+     * @param {Function} [random] - Random source for the row shuffle (defaults to Math.random)
+     * @returns {string[][]} Rows of uppercase letters (' ' where a shorter word has no letter)
+     */
+    generate(validWords, random = Math.random) {
+        const maxLength = Math.max(...validWords.map(w => w.length));
+        const columns = validWords.length;
+        const grid = Array(maxLength).fill(null).map(() => Array(columns).fill(' '));
+
+        // Distribute letters into grid
+        for (let wordIndex = 0; wordIndex < validWords.length; wordIndex++) {
+            const word = validWords[wordIndex];
+            for (let letterIndex = 0; letterIndex < word.length; letterIndex++) {
+                grid[letterIndex][wordIndex] = word[letterIndex].toUpperCase();
+            }
+        }
+
+        // Shuffle each row
+        for (let row = 0; row < maxLength; row++) {
+            grid[row] = this.shuffle([...grid[row]], random);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Fisher-Yates shuffle into a new array
+     * @param {Array} array
+     * @param {Function} [random] - Random source (defaults to Math.random)
+     */
+    shuffle(array, random = Math.random) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+// Create global grid generator
+const letterGrid = new LetterGridGenerator();
@@ -0,0 +1,316 @@
+/**
+ * Packed dictionary
+ * The word list as a DAWG (a trie with shared suffixes merged) in one Uint32Array, read in place
+ * without unpacking. Built by tools/build-dictionary.js into dictionary.bin; also used by
+ * dictionary-worker.js and dictionary.js, so it must not touch the DOM.
+ *
+ * Layout (little-endian): a header of HEADER_WORDS uint32s
+ *   [magic, format version, edge count, word count, longest word length, checksum of the edges, 0, 0]
+ * followed by the edges. The checksum (FNV-1a) tells copies of different word lists apart. Each node is a run of edges sorted by letter, the last one flagged;
+ * the root's run starts at edge 0. An edge is
+ *   bits 0-4: letter (0 = A) | bit 5: a word ends here | bit 6: last edge of its node |
+ *   bits 7-31: first edge of the child node (0 = no child)
+ */
+const PACKED_FORMAT = {
+    MAGIC: 0x444a5757, // "WWJD"
+    VERSION: 2,
+    HEADER_WORDS: 8,
+    LETTER_MASK: 0x1f,
+    END_OF_WORD: 1 << 5,
+    LAST_EDGE: 1 << 6,
+    CHILD_SHIFT: 7
+};
+
+class PackedDictionary {
+    /**
+     * @param {ArrayBuffer} buffer - Contents of dictionary.bin
+     * @throws {Error} If the buffer isn't a packed dictionary of this format
+     */
+    constructor(buffer) {
+        const header = new Uint32Array(buffer, 0, Math.min(PACKED_FORMAT.HEADER_WORDS, Math.floor(buffer.byteLength / 4)));
+        if (header.length < PACKED_FORMAT.HEADER_WORDS || header[0] !== PACKED_FORMAT.MAGIC) {
+            throw new Error('Not a packed dictionary');
+        }
+        if (header[1] !== PACKED_FORMAT.VERSION) {
+            throw new Error(`Unsupported packed dictionary format ${header[1]}`);
+        }
+        if (buffer.byteLength !== (PACKED_FORMAT.HEADER_WORDS + header[2]) * 4) {
+            throw new Error('Packed dictionary is truncated');
+        }
+
+        this.edges = new Uint32Array(buffer, PACKED_FORMAT.HEADER_WORDS * 4, header[2]);
+        if (PackedDictionary.checksum(this.edges) !== header[5]) {
+            throw new Error('Packed dictionary is damaged');
+        }
+        this.wordCount = header[3];
+        this.maxLength = header[4];
+        this.counts = new Map(); // (edge index, remaining length) -> words below, filled as needed
+    }
+
+    /**
+     * Whether a word (A-Z, uppercase) is in the dictionary
+     */
+    has(word) {
+        if (this.edges.length === 0 || word.length === 0) return false;
+
+        let start = 0;
+        for (let i = 0; i < word.length; i++) {
+            const edge = this.findEdge(start, word.charCodeAt(i) - 65);
+            if (edge === -1) return false;
+            if (i === word.length - 1) {
+                return (edge & PACKED_FORMAT.END_OF_WORD) !== 0;
+            }
+            start = edge >>> PACKED_FORMAT.CHILD_SHIFT;
+            if (start === 0) return false;
+        }
+        return false;
+    }
+
+    /**
+     * Edge for a letter in the node starting at an edge index, or -1
+     */
+    findEdge(start, letter) {
+        if (letter < 0 || letter > 25) return -1;
+        for (let i = start; i < this.edges.length; i++) {
+            const edge = this.edges[i];
+            const edgeLetter = edge & PACKED_FORMAT.LETTER_MASK;
+            if (edgeLetter === letter) return edge;
+            if (edgeLetter > letter || (edge & PACKED_FORMAT.LAST_EDGE) !== 0) return -1;
+        }
+        return -1;
+    }
+
+    /**
+     * All words of a length, in alphabetical order
+     * @returns {string[]}
+     */
+    wordsOfLength(length) {
+        const words = [];
+        if (this.edges.length === 0 || length < 1 || length > this.maxLength) return words;
+
+        const letters = [];
+        const visit = (start, remaining) => {
+            for (let i = start; ; i++) {
+                const edge = this.edges[i];
+                letters.push(String.fromCharCode(65 + (edge & PACKED_FORMAT.LETTER_MASK)));
+                if (remaining === 1) {
+                    if ((edge & PACKED_FORMAT.END_OF_WORD) !== 0) {
+                        words.push(letters.join(''));
+                    }
+                } else if ((edge >>> PACKED_FORMAT.CHILD_SHIFT) !== 0) {
+                    visit(edge >>> PACKED_FORMAT.CHILD_SHIFT, remaining - 1);
+                }
+                letters.pop();
+                if ((edge & PACKED_FORMAT.LAST_EDGE) !== 0) break;
+            }
+        };
+        visit(0, length);
+        return words;
+    }
+
+    /**
+     * Number of words of a length
+     */
+    countWords(length) {
+        return this.edges.length === 0 || length < 1 || length > this.maxLength ? 0 : this.countFrom(0, length);
+    }
+
+    /**
+     * Words of a given remaining length below the node starting at an edge index (memoized)
+     */
+    countFrom(start, remaining) {
+        const key = start * (this.maxLength + 1) + remaining;
+        if (this.counts.has(key)) {
+            return this.counts.get(key);
+        }
+
+        let count = 0;
+        for (let i = start; ; i++) {
+            count += this.countEdge(this.edges[i], remaining);
+            if ((this.edges[i] & PACKED_FORMAT.LAST_EDGE) !== 0) break;
+        }
+        this.counts.set(key, count);
+        return count;
+    }
+
+    countEdge(edge, remaining) {
+        if (remaining === 1) {
+            return (edge & PACKED_FORMAT.END_OF_WORD) !== 0 ? 1 : 0;
+        }
+        const child = edge >>> PACKED_FORMAT.CHILD_SHIFT;
+        return child === 0 ? 0 : this.countFrom(child, remaining - 1);
+    }
+
+    /**
+     * The word at a position in the alphabetical list of words of a length, found through
+     * the counts without listing the words
+     * @returns {string|null}
+     */
+    wordAt(length, index) {
+        if (index < 0 || index >= this.countWords(length)) return null;
+
+        let word = '';
+        let start = 0;
+        for (let remaining = length; remaining > 0; remaining--) {
+            for (let i = start; ; i++) {
+                const edge = this.edges[i];
+                const count = this.countEdge(edge, remaining);
+                if (index < count) {
+                    word += String.fromCharCode(65 + (edge & PACKED_FORMAT.LETTER_MASK));
+                    start = edge >>> PACKED_FORMAT.CHILD_SHIFT;
+                    break;
+                }
+                index -= count;
+            }
+        }
+        return word;
+    }
+
+    /**
+     * Identifies the word list in a packed dictionary from its header alone (edge count, word count
+     * and checksum), so a stored copy can be compared with the first bytes of dictionary.bin
+     * @param {ArrayBuffer} buffer - The packed dictionary, or at least its header
+     * @returns {string|null} null if the buffer doesn't start with a header of this format
+     */
+    static contentId(buffer) {
+        if (!buffer || buffer.byteLength < PACKED_FORMAT.HEADER_WORDS * 4) return null;
+        const header = new Uint32Array(buffer, 0, PACKED_FORMAT.HEADER_WORDS);
+        if (header[0] !== PACKED_FORMAT.MAGIC || header[1] !== PACKED_FORMAT.VERSION) return null;
+        return `${header[2]}-${header[3]}-${header[5].toString(16)}`;
+    }
+
+    /**
+     * 32-bit FNV-1a over the edges
+     * @param {Uint32Array} edges
+     */
+    static checksum(edges) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < edges.length; i++) {
+            hash = Math.imul(hash ^ edges[i], 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Pack a word list
+     * Words are upper-cased; anything that isn't 1+ letters A-Z is skipped
+     * @param {string[]} list
+     * @returns {ArrayBuffer}
+     */
+    static build(list) {
+        const words = [...new Set(list.map(word => String(word).trim().toUpperCase()))]
+            .filter(word => /^[A-Z]+$/.test(word))
+            .sort();
+
+        // Incremental construction from sorted input (Daciuk et al.): once a word is added,
+        // the nodes the next word doesn't share are final and get merged with identical ones
+        const newNode = () => ({ children: new Map(), final: false, id: -1 });
+        const root = newNode();
+        const register = new Map();
+        const unchecked = []; // [parent, letter, child] of the last word's path not yet merged
+        let nextId = 0;
+
+        const minimize = (downTo) => {
+            while (unchecked.length > downTo) {
+                const [parent, letter, child] = unchecked.pop();
+                let signature = child.final ? '1' : '0';
+                child.children.forEach((node, key) => {
+                    signature += `${key}${node.id},`;
+                });
+                if (register.has(signature)) {
+                    parent.children.set(letter, register.get(signature));
+                } else {
+                    child.id = nextId++;
+                    register.set(signature, child);
+                }
+            }
+        };
+
+        let previous = '';
+        let maxLength = 0;
+        for (const word of words) {
+            let common = 0;
+            while (common < word.length && common < previous.length && word[common] === previous[common]) {
+                common++;
+            }
+            minimize(common);
+
+            let node = unchecked.length > 0 ? unchecked[unchecked.length - 1][2] : root;
+            for (let i = common; i < word.length; i++) {
+                const child = newNode();
+                node.children.set(word[i], child);
+                unchecked.push([node, word[i], child]);
+                node = child;
+            }
+            node.final = true;
+            previous = word;
+            maxLength = Math.max(maxLength, word.length);
+        }
+        minimize(0);
+
+        // Lay out each distinct node with children as one run of edges, root first
+        const offsets = new Map();
+        const order = [];
+        let edgeCount = 0;
+        const place = (node) => {
+            offsets.set(node, edgeCount);
+            order.push(node);
+            edgeCount += node.children.size;
+        };
+        place(root);
+        for (let i = 0; i < order.length; i++) {
+            order[i].children.forEach(child => {
+                if (child.children.size > 0 && !offsets.has(child)) {
+                    place(child);
+                }
+            });
+        }
+        if (edgeCount >= 2 ** (32 - PACKED_FORMAT.CHILD_SHIFT)) {
+            throw new Error('Word list too large to pack');
+        }
+
+        const buffer = new ArrayBuffer((PACKED_FORMAT.HEADER_WORDS + edgeCount) * 4);
+        const edges = new Uint32Array(buffer, PACKED_FORMAT.HEADER_WORDS * 4, edgeCount);
+        order.forEach(node => {
+            let i = offsets.get(node);
+            const entries = [...node.children.entries()];
+            entries.forEach(([letter, child], position) => {
+                let edge = letter.charCodeAt(0) - 65;
+                if (child.final) edge |= PACKED_FORMAT.END_OF_WORD;
+                if (position === entries.length - 1) edge |= PACKED_FORMAT.LAST_EDGE;
+                if (child.children.size > 0) edge |= offsets.get(child) << PACKED_FORMAT.CHILD_SHIFT;
+                edges[i++] = edge >>> 0;
+            });
+        });
+
+        const header = new Uint32Array(buffer, 0, PACKED_FORMAT.HEADER_WORDS);
+        header.set([PACKED_FORMAT.MAGIC, PACKED_FORMAT.VERSION, edgeCount, words.length, maxLength, PackedDictionary.checksum(edges)]);
+        return buffer;
+    }
+
+    /**
+     * Get a packed dictionary: the prebuilt file, or packed here from the text list if that's missing
+     * @param {string} packedUrl - e.g. 'dictionary.bin'
+     * @param {string} textUrl - e.g. 'dictionary.txt', one word per line
+     * @returns {Promise<ArrayBuffer>}
+     */
+    static async fetchBuffer(packedUrl, textUrl) {
+        try {
+            const response = await fetch(packedUrl);
+            if (response.ok) {
+                const buffer = await response.arrayBuffer();
+                new PackedDictionary(buffer); // Throws if the file isn't usable
+                return buffer;
+            }
+            console.warn(`Packed dictionary unavailable (${response.status}), packing ${textUrl}`);
+        } catch (error) {
+            console.warn(`Packed dictionary unavailable (${error.message}), packing ${textUrl}`);
+        }
+
+        const response = await fetch(textUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to load dictionary: ${response.status}`);
+        }
+        return PackedDictionary.build((await response.text()).split('\n'));
+    }
+}
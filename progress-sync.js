@@ -0,0 +1,338 @@
+/**
+ * Cross-device progress sync (opt-in with the "sync" setting)
+ * Signs in anonymously with Firebase and keeps users/{uid}/days/{date} and users/{uid}/stats/totals
+ * in step with local storage. Each day resolves to the side with more progress, with a fixed
+ * tie-break, so devices that played the same day end up with the same result whatever the order.
+ * The anonymous account can later be linked to a real sign-in (upgrade) to reach other devices.
+ */
+class ProgressSync {
+    constructor(storage, transfer) {
+        this.storage = storage;
+        this.transfer = transfer;
+        this.PULL_TIMEOUT_MS = 3000; // Longest the game waits for remote progress before starting
+        this.PUSH_DELAY_MS = 2000; // Changes are batched for this long before being written
+        this.user = null;
+        this.ready = false; // Remote progress has been applied, so pushing is safe
+        this.pending = new Set(); // Dates changed since the last push
+        this.pushTimer = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Whether the player turned sync on and the page has Firebase Auth
+     */
+    isEnabled() {
+        return gameSettings.get('sync') && typeof firebase !== 'undefined' && typeof firebase.auth === 'function';
+    }
+
+    /**
+     * Sign in and reconcile local and remote progress
+     * Remote days that are ahead are written locally before the game reads them. If the network is
+     * slower than PULL_TIMEOUT_MS the game starts with local data, and the remote progress is
+     * applied when it arrives (listeners hear about it); nothing is pushed before that
+     * @returns {Promise<boolean>} Whether local data changed
+     */
+    async start() {
+        if (!this.isEnabled()) return false;
+
+        const fetching = this.fetchRemote();
+        try {
+            const timeout = new Promise(resolve => setTimeout(() => resolve(null), this.PULL_TIMEOUT_MS));
+            const remote = await Promise.race([fetching, timeout]);
+            if (remote) {
+                return this.reconcile(remote).length > 0;
+            }
+        } catch (error) {
+            console.error('Progress sync failed:', error);
+            return false;
+        }
+
+        console.warn('Progress sync is slow, playing with local progress until it arrives');
+        fetching
+            .then(remote => {
+                const updated = this.reconcile(remote);
+                if (updated.length > 0) {
+                    this.listeners.forEach(listener => listener(updated));
+                }
+            })
+            .catch(error => console.error('Progress sync failed:', error));
+        return false;
+    }
+
+    /**
+     * Call a listener when progress that arrived after start() changed local data
+     * @param {function(string[])} listener - Gets what changed: dates, and 'totals' for coins or the best run
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Apply remote progress, then start pushing: the days where local is ahead now,
+     * later changes as they happen and unsent ones when the page is left
+     * @returns {string[]} What changed locally (see onChange)
+     */
+    reconcile(remote) {
+        const { updated, ahead } = this.applyRemote(remote);
+        ahead.forEach(date => this.pending.add(date));
+        if (!this.ready) {
+            this.ready = true;
+            window.addEventListener('pagehide', () => this.flush());
+        }
+        this.flush();
+        return updated;
+    }
+
+    /**
+     * Link the anonymous account to a real sign-in, keeping its progress
+     * If the sign-in already has progress (from another device), switch to it and merge this device in
+     * @param {firebase.auth.AuthCredential} credential - e.g. from firebase.auth.GoogleAuthProvider.credential()
+     * @returns {Promise<boolean>} Whether local data changed
+     */
+    async upgrade(credential) {
+        const auth = firebaseService.auth;
+        try {
+            await auth.currentUser.linkWithCredential(credential);
+        } catch (error) {
+            if (error.code !== 'auth/credential-already-in-use') throw error;
+            await auth.signInWithCredential(error.credential);
+        }
+
+        return this.reconcile(await this.fetchRemote()).length > 0;
+    }
+
+    /**
+     * Queue a date's progress to be written (held until the remote progress has been applied)
+     * @param {string} date - Date in YYYY-MM-DD format
+     */
+    schedulePush(date) {
+        if (!this.isEnabled()) return;
+        this.pending.add(date);
+        if (!this.ready) return;
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.flush(), this.PUSH_DELAY_MS);
+    }
+
+    /**
+     * Write queued dates and the totals now
+     */
+    async flush() {
+        if (!this.ready) return;
+        clearTimeout(this.pushTimer);
+        const dates = [...this.pending];
+        this.pending.clear();
+
+        try {
+            await Promise.all([...dates.map(date => this.pushDay(date)), this.pushTotals()]);
+        } catch (error) {
+            console.error('Error syncing progress:', error);
+            dates.forEach(date => this.pending.add(date));
+        }
+    }
+
+    userRef() {
+        return firebaseService.db.collection('users').doc(this.user.uid);
+    }
+
+    /**
+     * Sign in if needed and read every synced day and the totals
+     * @returns {Promise<{days: Map<string, Object>, totals: Object|null}>}
+     */
+    async fetchRemote() {
+        this.user = await firebaseService.getUser();
+        const [daySnapshot, totalsSnapshot] = await Promise.all([
+            this.userRef().collection('days').get(),
+            this.userRef().collection('stats').doc('totals').get()
+        ]);
+
+        const days = new Map();
+        daySnapshot.forEach(doc => days.set(doc.id, doc.data()));
+        return { days, totals: totalsSnapshot.exists ? totalsSnapshot.data() : null };
+    }
+
+    /**
+     * Take every remote day that's ahead of the local one, and the higher totals
+     * @returns {{updated: string[], ahead: string[]}} What changed locally (dates, and 'totals'
+     *     for coins or the best run), and the dates where local is ahead
+     */
+    applyRemote({ days, totals }) {
+        const history = this.storage.get('history', {});
+        const dates = new Set([...Object.keys(history), ...days.keys()]);
+        const ahead = [];
+        const updated = [];
+
+        dates.forEach(date => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return;
+
+            const local = this.toDocument(history[date], this.storage.get(this.storage.dayKey('progress', date)));
+            const remote = days.get(date) || null;
+            if (this.isSameDay(local, remote)) return;
+
+            if (this.pickDay(local, remote) === local) {
+                ahead.push(date);
+                return;
+            }
+
+            // The remote day wins as a whole; the local grid belonged to the old progress
+            const { record, progress } = this.fromDocument(remote);
+            history[date] = record;
+            if (progress) {
+                this.storage.set(this.storage.dayKey('progress', date), progress);
+            }
+            this.storage.remove(this.storage.dayKey('gameState', date));
+            updated.push(date);
+        });
+        if (updated.length > 0) {
+            this.storage.set('history', history);
+        }
+
+        if (totals) {
+            ['coins', 'highscore'].forEach(key => {
+                if (Number.isInteger(totals[key]) && totals[key] > (parseInt(this.storage.get(key), 10) || 0)) {
+                    this.storage.set(key, totals[key]);
+                    if (!updated.includes('totals')) {
+                        updated.push('totals');
+                    }
+                }
+            });
+        }
+        return { updated, ahead };
+    }
+
+    /**
+     * Write a date's progress unless the remote copy is ahead (checked in a transaction,
+     * so two devices pushing the same day at once still keep the better one)
+     */
+    async pushDay(date) {
+        const history = this.storage.get('history', {});
+        const local = this.toDocument(history[date], this.storage.get(this.storage.dayKey('progress', date)));
+        if (!local) return;
+
+        const ref = this.userRef().collection('days').doc(date);
+        await firebaseService.db.runTransaction(async transaction => {
+            const snapshot = await transaction.get(ref);
+            const remote = snapshot.exists ? snapshot.data() : null;
+            if (!this.isSameDay(local, remote) && this.pickDay(local, remote) === local) {
+                transaction.set(ref, local);
+            }
+        });
+    }
+
+    /**
+     * Write coins and the best practice run where they're above the remote values
+     */
+    async pushTotals() {
+        const ref = this.userRef().collection('stats').doc('totals');
+        await firebaseService.db.runTransaction(async transaction => {
+            const snapshot = await transaction.get(ref);
+            const remote = snapshot.exists ? snapshot.data() : {};
+            const totals = {};
+            let ahead = false;
+            ['coins', 'highscore'].forEach(key => {
+                const local = Math.max(0, parseInt(this.storage.get(key), 10) || 0);
+                const other = Number.isInteger(remote[key]) ? remote[key] : 0;
+                totals[key] = Math.max(local, other);
+                ahead = ahead || local > other;
+            });
+            if (ahead) {
+                transaction.set(ref, Object.assign(totals, { updatedAt: Date.now() }));
+            }
+        });
+    }
+
+    /**
+     * The day with more progress (ProgressTransfer.compareDays); exact ties go to the
+     * greater canonical JSON so every device picks the same one
+     */
+    pickDay(a, b) {
+        if (!a || !b) return a || b;
+        const comparison = this.transfer.compareDays(this.fromDocument(a), this.fromDocument(b));
+        if (comparison !== 0) {
+            return comparison > 0 ? a : b;
+        }
+        return ProgressTransfer.canonicalJson(a) >= ProgressTransfer.canonicalJson(b) ? a : b;
+    }
+
+    isSameDay(a, b) {
+        return ProgressTransfer.canonicalJson(a) === ProgressTransfer.canonicalJson(b);
+    }
+
+    /**
+     * Remote form of a day: the history record plus the found words (checked by firestore.rules)
+     * @returns {Object|null} null if there's no record to sync
+     */
+    toDocument(record, progress) {
+        if (!record || typeof record !== 'object' || !Array.isArray(record.words) || record.words.length === 0) {
+            return null;
+        }
+
+        const toInt = (value) => Math.max(0, Math.round(Number(value)) || 0);
+        const words = record.words.map(word => String(word).toUpperCase());
+        const sortedWords = [...words].sort().join(',');
+        const hasProgress = progress && typeof progress === 'object' &&
+            Array.isArray(progress.words) && progress.words.join(',') === sortedWords;
+        const powerUps = record.powerUps || {};
+
+        const doc = {
+            status: ['in-progress', 'completed', 'failed'].includes(record.status) ? record.status : 'in-progress',
+            words,
+            tries: toInt(record.tries),
+            archive: Boolean(record.archive),
+            levelWordsFound: Math.max(toInt(record.levelWordsFound), hasProgress && Array.isArray(progress.levelWords) ? progress.levelWords.length : 0),
+            bonusWordsFound: Math.max(toInt(record.bonusWordsFound), hasProgress && Array.isArray(progress.otherWords) ? progress.otherWords.length : 0),
+            sequence: Array.isArray(record.sequence) ? record.sequence.filter(entry => typeof entry === 'string') : [],
+            powerUps: { hint: toInt(powerUps.hint), shuffle: toInt(powerUps.shuffle), reveal: toInt(powerUps.reveal) },
+            undos: toInt(record.undos),
+            time: toInt(record.time),
+            tryTime: toInt(record.tryTime),
+            startedAt: toInt(record.startedAt),
+            updatedAt: toInt(record.updatedAt)
+        };
+        ['completedAt', 'failedAt'].forEach(key => {
+            if (record[key] !== undefined) {
+                doc[key] = toInt(record[key]);
+            }
+        });
+        if (hasProgress) {
+            doc.levelWords = Array.isArray(progress.levelWords) ? progress.levelWords.map(String) : [];
+            doc.otherWords = Array.isArray(progress.otherWords) ? progress.otherWords.map(String) : [];
+            if (Number.isInteger(progress.lives)) {
+                doc.lives = progress.lives;
+            }
+        }
+        return doc;
+    }
+
+    /**
+     * Local form of a remote day
+     * @returns {{record: Object, progress: Object|null}}
+     */
+    fromDocument(doc) {
+        const record = {};
+        ['status', 'words', 'tries', 'archive', 'levelWordsFound', 'bonusWordsFound', 'sequence', 'powerUps',
+            'undos', 'time', 'tryTime', 'startedAt', 'updatedAt', 'completedAt', 'failedAt'].forEach(key => {
+            if (doc[key] !== undefined) {
+                record[key] = doc[key];
+            }
+        });
+
+        let progress = null;
+        if (Array.isArray(doc.levelWords)) {
+            progress = {
+                words: [...doc.words].sort(),
+                levelWords: doc.levelWords,
+                otherWords: Array.isArray(doc.otherWords) ? doc.otherWords : [],
+                sequence: doc.sequence,
+                powerUps: doc.powerUps,
+                undos: doc.undos
+            };
+            if (doc.lives !== undefined) {
+                progress.lives = doc.lives;
+            }
+        }
+        return { record, progress };
+    }
+}
+
+// Create global sync instance
+const progressSync = new ProgressSync(storage, progressTransfer);
@@ -0,0 +1,277 @@
+/**
+ * Progress export and import
+ * Saves everything in storage to a versioned, checksummed JSON file and merges such a file
+ * back in, per puzzle date, so progress can move to another browser or device.
+ * An import never replaces a day with less progress than this browser already has.
+ */
+class ProgressTransfer {
+    constructor(storage) {
+        this.storage = storage;
+        this.FORMAT = 'wordjam-progress';
+        this.VERSION = 1;
+        this.STATUS_RANK = { 'in-progress': 1, failed: 2, completed: 3 }; // Finished beats unfinished
+        this.SEQUENCE_ENTRIES = ['L', 'B', 'V', 'R']; // Level, bonus, revealed word, reset
+    }
+
+    /**
+     * Build the export for everything in storage
+     * @returns {Promise<Object>} { format, version, schemaVersion, exportedAt, data, checksum }
+     */
+    async createExport() {
+        const data = {};
+        this.storage.keys().forEach(key => {
+            if (key !== this.storage.VERSION_KEY) {
+                data[key] = this.storage.get(key);
+            }
+        });
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            schemaVersion: this.storage.VERSION,
+            exportedAt: new Date().toISOString(),
+            data,
+            checksum: await this.checksum(data)
+        };
+    }
+
+    /**
+     * Download the export as a file
+     */
+    async download() {
+        const payload = await this.createExport();
+        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `wordjam-progress-${payload.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Read and check an export file
+     * @param {File} file
+     * @returns {Promise<Object>} The validated export
+     * @throws {Error} With a message that can be shown to the player
+     */
+    async readFile(file) {
+        let payload;
+        try {
+            payload = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('This file is not a WordJam progress file');
+        }
+
+        if (!payload || payload.format !== this.FORMAT || !payload.data || typeof payload.data !== 'object') {
+            throw new Error('This file is not a WordJam progress file');
+        }
+        if (payload.version !== this.VERSION || payload.schemaVersion !== this.storage.VERSION) {
+            throw new Error('This file was made by a different version of WordJam');
+        }
+        if (payload.checksum !== await this.checksum(payload.data)) {
+            throw new Error('This file is damaged or was edited');
+        }
+        return payload;
+    }
+
+    /**
+     * Merge an export into storage
+     * Each puzzle date keeps whichever side has more progress; coins and the best practice
+     * run keep the higher value; settings stay as they are on this device. Imported records
+     * and found words are rebuilt field by field, and saved grids aren't imported
+     * @param {Object} payload - Export from readFile
+     * @returns {{added: number, updated: number, kept: number}} Puzzle dates by outcome
+     */
+    merge(payload) {
+        const incoming = payload.data;
+        const summary = { added: 0, updated: 0, kept: 0 };
+
+        const localHistory = this.storage.get('history', {});
+        const incomingHistory = this.isObject(incoming.history) ? incoming.history : {};
+        const dates = new Set([
+            ...Object.keys(incomingHistory),
+            ...Object.keys(incoming)
+                .map(key => key.match(/^progress_(\d{4}-\d{2}-\d{2})$/))
+                .filter(Boolean)
+                .map(match => match[1])
+        ]);
+
+        dates.forEach(date => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return;
+
+            const progressKey = this.storage.dayKey('progress', date);
+            const stateKey = this.storage.dayKey('gameState', date);
+            const local = { record: localHistory[date], progress: this.storage.get(progressKey) };
+            const other = {
+                record: this.normalizeRecord(incomingHistory[date]),
+                progress: this.normalizeProgress(incoming[progressKey])
+            };
+            if (!other.record && !other.progress) return;
+
+            const hasLocal = this.isObject(local.record) || this.isObject(local.progress);
+            if (hasLocal && this.compareDays(other, local) <= 0) {
+                summary.kept++;
+                return;
+            }
+
+            // The imported day wins as a whole; the local grid belonged to the old progress
+            if (other.record) {
+                localHistory[date] = other.record;
+            }
+            if (other.progress) {
+                this.storage.set(progressKey, other.progress);
+            }
+            this.storage.remove(stateKey);
+            summary[hasLocal ? 'updated' : 'added']++;
+        });
+        this.storage.set('history', localHistory);
+
+        ['coins', 'highscore'].forEach(key => {
+            const value = parseInt(incoming[key], 10);
+            if (Number.isFinite(value) && value > (parseInt(this.storage.get(key), 10) || 0)) {
+                this.storage.set(key, value);
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * History record from an import, keeping only known fields in the types the game writes
+     * @returns {Object|null} null if it isn't a record of a puzzle
+     */
+    normalizeRecord(record) {
+        if (!this.isObject(record)) return null;
+        const words = this.toWords(record.words);
+        if (words.length === 0) return null;
+
+        const toInt = (value) => Math.max(0, Math.round(Number(value)) || 0);
+        const normalized = {
+            status: this.STATUS_RANK[record.status] ? record.status : 'in-progress',
+            words,
+            tries: Math.max(1, toInt(record.tries)),
+            archive: Boolean(record.archive),
+            levelWordsFound: toInt(record.levelWordsFound),
+            bonusWordsFound: toInt(record.bonusWordsFound),
+            sequence: this.toSequence(record.sequence),
+            powerUps: this.toPowerUps(record.powerUps),
+            undos: toInt(record.undos)
+        };
+        ['time', 'tryTime', 'startedAt', 'updatedAt', 'completedAt', 'failedAt'].forEach(key => {
+            if (record[key] !== undefined) {
+                normalized[key] = toInt(record[key]);
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Found words from an import, in the form GameStorage saves them
+     * @returns {Object|null} null if it isn't progress of a puzzle
+     */
+    normalizeProgress(progress) {
+        if (!this.isObject(progress)) return null;
+        const words = this.toWords(progress.words).sort();
+        if (words.length === 0) return null;
+
+        const normalized = {
+            words,
+            levelWords: this.toWords(progress.levelWords).filter(word => words.includes(word)),
+            otherWords: this.toWords(progress.otherWords),
+            sequence: this.toSequence(progress.sequence),
+            powerUps: this.toPowerUps(progress.powerUps),
+            undos: Math.max(0, parseInt(progress.undos, 10) || 0)
+        };
+        if (Number.isInteger(progress.lives) && progress.lives >= 0) {
+            normalized.lives = progress.lives;
+        }
+        return normalized;
+    }
+
+    /**
+     * Upper-case words of letters only, duplicates removed
+     */
+    toWords(list) {
+        if (!Array.isArray(list)) return [];
+        const words = list.map(word => String(word).toUpperCase()).filter(word => /^[A-Z]+$/.test(word));
+        return [...new Set(words)];
+    }
+
+    toSequence(list) {
+        return Array.isArray(list) ? list.filter(entry => this.SEQUENCE_ENTRIES.includes(entry)) : [];
+    }
+
+    toPowerUps(powerUps) {
+        const counts = this.isObject(powerUps) ? powerUps : {};
+        return {
+            hint: Math.max(0, parseInt(counts.hint, 10) || 0),
+            shuffle: Math.max(0, parseInt(counts.shuffle, 10) || 0),
+            reveal: Math.max(0, parseInt(counts.reveal, 10) || 0)
+        };
+    }
+
+    /**
+     * Compare the progress two sides have on one day
+     * Finished beats unfinished, then more level words, then more bonus words, then the latest update
+     * @returns {number} > 0 if a is ahead, < 0 if b is ahead, 0 if even
+     */
+    compareDays(a, b) {
+        const score = (side) => {
+            const record = this.isObject(side.record) ? side.record : {};
+            const progress = this.isObject(side.progress) ? side.progress : {};
+            return [
+                this.STATUS_RANK[record.status] || 0,
+                Math.max(Array.isArray(progress.levelWords) ? progress.levelWords.length : 0, parseInt(record.levelWordsFound, 10) || 0),
+                Math.max(Array.isArray(progress.otherWords) ? progress.otherWords.length : 0, parseInt(record.bonusWordsFound, 10) || 0),
+                parseInt(record.updatedAt, 10) || 0
+            ];
+        };
+
+        const scoreA = score(a);
+        const scoreB = score(b);
+        for (let i = 0; i < scoreA.length; i++) {
+            if (scoreA[i] !== scoreB[i]) {
+                return scoreA[i] - scoreB[i];
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * SHA-256 of the data in a key-order independent form, as hex
+     */
+    async checksum(data) {
+        // Web Crypto only exists on secure pages (https or localhost)
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('Progress files only work when WordJam is opened over https');
+        }
+        const bytes = new TextEncoder().encode(ProgressTransfer.canonicalJson(data));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * JSON with object keys sorted, so the same data always gives the same text
+     */
+    static canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => ProgressTransfer.canonicalJson(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .map(key => `${JSON.stringify(key)}:${ProgressTransfer.canonicalJson(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Create global progress transfer instance
+const progressTransfer = new ProgressTransfer(storage);
@@ -0,0 +1,115 @@
+/**
+ * Local cache of daily_words documents
+ * Keeps the most recent puzzles in IndexedDB so the game can be played offline
+ */
+class PuzzleCache {
+    constructor() {
+        this.dbName = 'wordjam';
+        this.dbVersion = 1;
+        this.storeName = 'daily_words';
+        this.maxEntries = 7; // Number of puzzle dates kept locally
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database (resolves to null when IndexedDB is unavailable, e.g. private mode)
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'date' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Puzzle cache unavailable:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('Puzzle cache unavailable:', error);
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the store and resolve with its result
+     */
+    async request(mode, callback) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const transaction = db.transaction(this.storeName, mode);
+                const request = callback(transaction.objectStore(this.storeName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Puzzle cache request failed:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('Puzzle cache request failed:', error);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Get cached words for a date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<string[]|null>} Cached words or null if not cached
+     */
+    async get(date) {
+        const entry = await this.request('readonly', store => store.get(date));
+        if (!entry || !Array.isArray(entry.words)) {
+            return null;
+        }
+
+        // Cached entries were validated before storing, but don't trust them blindly
+        const words = entry.words.filter(word => typeof word === 'string' && /^[A-Z]+$/.test(word));
+        return words.length > 0 ? words : null;
+    }
+
+    /**
+     * Store validated words for a date and drop the oldest entries
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {string[]} words - Validated words
+     */
+    async put(date, words) {
+        await this.request('readwrite', store => store.put({ date, words, cachedAt: Date.now() }));
+        await this.prune();
+    }
+
+    /**
+     * Keep only the most recent maxEntries dates
+     */
+    async prune() {
+        const dates = await this.request('readonly', store => store.getAllKeys());
+        if (!dates || dates.length <= this.maxEntries) return;
+
+        const stale = [...dates].sort().reverse().slice(this.maxEntries);
+        for (const date of stale) {
+            await this.request('readwrite', store => store.delete(date));
+        }
+    }
+}
+
+// Create global cache instance
+const puzzleCache = new PuzzleCache();
@@ -0,0 +1,96 @@
+/**
+ * Puzzle calendar
+ * Decides which day's puzzle is current, when the next one arrives and its puzzle number.
+ * APP_CONFIG.rollover picks the day boundary: 'utc' gives every player the same puzzle at
+ * the same moment, 'local' switches at each player's own midnight.
+ */
+class PuzzleCalendar {
+    constructor(config) {
+        this.rollover = config.rollover === 'utc' ? 'utc' : 'local';
+        this.launchDate = config.launchDate;
+        this.CHECK_INTERVAL_MS = 10000; // How often a watched page looks for a new day
+    }
+
+    /**
+     * Date of the current puzzle in YYYY-MM-DD format
+     * @param {Date} [now]
+     */
+    getToday(now = new Date()) {
+        if (this.rollover === 'utc') {
+            return now.toISOString().slice(0, 10);
+        }
+        const year = now.getFullYear();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Moment the next puzzle becomes current
+     * @param {Date} [now]
+     * @returns {Date}
+     */
+    getNextRollover(now = new Date()) {
+        if (this.rollover === 'utc') {
+            return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+        }
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    }
+
+    /**
+     * Milliseconds until the next puzzle
+     */
+    getTimeUntilNext(now = new Date()) {
+        return Math.max(0, this.getNextRollover(now).getTime() - now.getTime());
+    }
+
+    /**
+     * Puzzle number of a date, counted from the launch date (puzzle #1)
+     * @param {string} date - Date in YYYY-MM-DD format
+     */
+    getPuzzleNumber(date) {
+        const toDays = (value) => {
+            const [year, month, day] = value.split('-').map(Number);
+            return Date.UTC(year, month - 1, day) / 86400000;
+        };
+        return Math.round(toDays(date) - toDays(this.launchDate)) + 1;
+    }
+
+    /**
+     * Call back when the current puzzle date changes while the page is open
+     * Checked on an interval and whenever the tab becomes visible (timers sleep in background tabs)
+     * @param {Function} callback - (newDate, previousDate) => void
+     */
+    watch(callback) {
+        let current = this.getToday();
+        const check = () => {
+            const today = this.getToday();
+            if (today !== current) {
+                const previous = current;
+                current = today;
+                callback(today, previous);
+            }
+        };
+
+        setInterval(check, this.CHECK_INTERVAL_MS);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                check();
+            }
+        });
+    }
+
+    /**
+     * Format a countdown as H:MM:SS
+     */
+    static formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${hours}:${minutes}:${seconds}`;
+    }
+}
+
+// Create global calendar from the app configuration
+const puzzleCalendar = new PuzzleCalendar(APP_CONFIG);
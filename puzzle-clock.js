@@ -0,0 +1,92 @@
+/**
+ * Puzzle clock
+ * Measures play time on a puzzle: starts on the first move, pauses while the tab is hidden
+ * and stops when the puzzle ends. Keeps the time of the current try and the total across tries.
+ */
+class PuzzleClock {
+    constructor(state = {}) {
+        this.totalMs = Math.max(0, Number(state.totalMs) || 0); // Banked time across all tries
+        this.tryMs = Math.max(0, Number(state.tryMs) || 0); // Banked time of the current try
+        this.started = Boolean(state.started);
+        this.stopped = Boolean(state.stopped);
+        this.runningSince = null; // Timestamp of the last resume while running
+    }
+
+    /**
+     * Start counting (only the first call does anything)
+     */
+    start() {
+        if (this.started || this.stopped) return;
+        this.started = true;
+        this.resume();
+    }
+
+    /**
+     * Continue counting after a pause
+     */
+    resume() {
+        if (!this.started || this.stopped || this.runningSince !== null) return;
+        this.runningSince = Date.now();
+    }
+
+    /**
+     * Stop counting for now, banking the time since the last resume
+     */
+    pause() {
+        if (this.runningSince === null) return;
+        const elapsed = Date.now() - this.runningSince;
+        this.totalMs += elapsed;
+        this.tryMs += elapsed;
+        this.runningSince = null;
+    }
+
+    /**
+     * Stop for good (the puzzle is over)
+     */
+    stop() {
+        this.pause();
+        this.stopped = true;
+    }
+
+    /**
+     * A reset starts a new try: the try time restarts, the total keeps counting
+     */
+    newTry() {
+        const wasRunning = this.isRunning();
+        this.pause();
+        this.tryMs = 0;
+        if (wasRunning) {
+            this.resume();
+        }
+    }
+
+    isRunning() {
+        return this.runningSince !== null;
+    }
+
+    /**
+     * Time across all tries, in ms
+     */
+    getTotalTime() {
+        return this.totalMs + (this.isRunning() ? Date.now() - this.runningSince : 0);
+    }
+
+    /**
+     * Time of the current try, in ms
+     */
+    getTryTime() {
+        return this.tryMs + (this.isRunning() ? Date.now() - this.runningSince : 0);
+    }
+
+    /**
+     * Saved form (a restored clock starts paused)
+     */
+    toJSON() {
+        return {
+            totalMs: this.getTotalTime(),
+            tryMs: this.getTryTime(),
+            started: this.started,
+            stopped: this.stopped
+        };
+    }
+}
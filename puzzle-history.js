@@ -0,0 +1,203 @@
+/**
+ * Puzzle history and player statistics
+ * Keeps one record per puzzle date in storage (status, tries, time, words found),
+ * so the archive can show which days were played and the completion page can show stats
+ */
+class PuzzleHistory {
+    constructor() {
+        this.storageKey = 'history';
+        this.records = null;
+        this.MAX_TRIES_BUCKET = 6; // Last histogram bucket collects 6+ tries
+    }
+
+    /**
+     * Load all records from storage
+     * @returns {Object<string, Object>} Records keyed by YYYY-MM-DD
+     */
+    load() {
+        if (this.records) {
+            return this.records;
+        }
+
+        const data = storage.get(this.storageKey, {});
+        this.records = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        return this.records;
+    }
+
+    /**
+     * Drop the loaded records so the next read sees what's in storage (after a sync)
+     */
+    reload() {
+        this.records = null;
+    }
+
+    /**
+     * Save all records to storage
+     */
+    save() {
+        storage.set(this.storageKey, this.load());
+    }
+
+    /**
+     * Get the record for a date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Object|null}
+     */
+    getRecord(date) {
+        return this.load()[date] || null;
+    }
+
+    /**
+     * Get the status of a date: 'completed', 'failed', 'in-progress' or 'unplayed'
+     */
+    getStatus(date) {
+        const record = this.getRecord(date);
+        return record ? record.status : 'unplayed';
+    }
+
+    /**
+     * Update a record, creating it if needed
+     */
+    updateRecord(date, changes) {
+        const records = this.load();
+        const now = Date.now();
+        records[date] = Object.assign({ startedAt: now }, records[date], changes, { updatedAt: now });
+        this.save();
+        return records[date];
+    }
+
+    /**
+     * Mark a date as started (never downgrades a finished puzzle)
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {Object} details - { tries, words, archive }
+     */
+    markInProgress(date, details = {}) {
+        const record = this.getRecord(date);
+        if (record && (record.status === 'completed' || record.status === 'failed')) {
+            return record;
+        }
+        return this.updateRecord(date, Object.assign({}, details, { status: 'in-progress' }));
+    }
+
+    /**
+     * Mark a date as completed
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {Object} details - { tries, words, archive, levelWordsFound, bonusWordsFound, time }
+     */
+    markCompleted(date, details = {}) {
+        const record = this.getRecord(date);
+        if (record && record.status === 'completed') {
+            return record;
+        }
+
+        const completedAt = Date.now();
+        const changes = Object.assign({}, details, { status: 'completed', completedAt });
+        if (changes.time === undefined) {
+            // Without a measured time, use the time since the puzzle was started
+            changes.time = record && record.startedAt ? completedAt - record.startedAt : 0;
+        }
+        return this.updateRecord(date, changes);
+    }
+
+    /**
+     * Mark a date as lost (ran out of lives in lives mode)
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {Object} details - { tries, words, archive, levelWordsFound, bonusWordsFound }
+     */
+    markFailed(date, details = {}) {
+        const record = this.getRecord(date);
+        if (record && (record.status === 'completed' || record.status === 'failed')) {
+            return record;
+        }
+        return this.updateRecord(date, Object.assign({}, details, { status: 'failed', failedAt: Date.now() }));
+    }
+
+    /**
+     * Forget a date entirely
+     */
+    removeRecord(date) {
+        const records = this.load();
+        delete records[date];
+        this.save();
+    }
+
+    /**
+     * Format a Date as YYYY-MM-DD from its local calendar day
+     */
+    static formatDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date by a number of days
+     */
+    static shiftDate(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return PuzzleHistory.formatDate(new Date(year, month - 1, day + days));
+    }
+
+    /**
+     * Derive player statistics from the records
+     * Streaks only count daily puzzles completed on their own day, not archive catch-ups.
+     * Played and completion rate only count finished puzzles (completed or failed), so opening
+     * a puzzle doesn't lower the rate; unfinished ones are counted in gamesInProgress
+     * @param {string} today - Today's date in YYYY-MM-DD format
+     * @returns {{gamesPlayed: number, gamesCompleted: number, gamesInProgress: number, completionRate: number,
+     *            currentStreak: number, longestStreak: number, triesDistribution: number[]}}
+     */
+    getStatistics(today) {
+        const records = this.load();
+        const dates = Object.keys(records).sort();
+
+        // triesDistribution[0] counts 1 try, the last bucket counts MAX_TRIES_BUCKET or more
+        const triesDistribution = Array(this.MAX_TRIES_BUCKET).fill(0);
+        let gamesCompleted = 0;
+        for (const date of dates) {
+            const record = records[date];
+            if (record.status !== 'completed') continue;
+            gamesCompleted++;
+            const tries = Math.max(1, parseInt(record.tries, 10) || 1);
+            triesDistribution[Math.min(tries, this.MAX_TRIES_BUCKET) - 1]++;
+        }
+
+        const isStreakDay = (date) => {
+            const record = records[date];
+            return Boolean(record && record.status === 'completed' && !record.archive);
+        };
+
+        let longestStreak = 0;
+        let run = 0;
+        let previous = null;
+        for (const date of dates) {
+            if (!isStreakDay(date)) continue;
+            run = previous && PuzzleHistory.shiftDate(previous, 1) === date ? run + 1 : 1;
+            previous = date;
+            longestStreak = Math.max(longestStreak, run);
+        }
+
+        // Today's puzzle not being done yet doesn't break the streak
+        let currentStreak = 0;
+        let day = isStreakDay(today) ? today : PuzzleHistory.shiftDate(today, -1);
+        while (isStreakDay(day)) {
+            currentStreak++;
+            day = PuzzleHistory.shiftDate(day, -1);
+        }
+
+        const gamesPlayed = dates.filter(date => ['completed', 'failed'].includes(records[date].status)).length;
+        return {
+            gamesPlayed,
+            gamesCompleted,
+            gamesInProgress: dates.length - gamesPlayed,
+            completionRate: gamesPlayed > 0 ? Math.round((gamesCompleted / gamesPlayed) * 100) : 0,
+            currentStreak,
+            longestStreak,
+            triesDistribution
+        };
+    }
+}
+
+// Create global history instance
+const puzzleHistory = new PuzzleHistory();
@@ -0,0 +1,307 @@
+/**
+ * Puzzle providers
+ * Each provider is one source of a date's puzzle words. The puzzle source tries the
+ * providers named in APP_CONFIG.puzzleProviders in order and uses the first answer,
+ * so a deployment can serve puzzles from Firestore, static files or the seeded generator.
+ */
+
+/**
+ * Base class: a provider resolves a date to its words, or null when it has no puzzle
+ */
+class PuzzleProvider {
+    constructor(name) {
+        this.name = name;
+        this.requiresNetwork = false; // Skipped while offline
+    }
+
+    /**
+     * Words for a date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @returns {Promise<string[]|null>}
+     */
+    async getWords(date) {
+        throw new Error(`Puzzle provider "${this.name}" does not implement getWords`);
+    }
+
+    /**
+     * Validate and sanitize a puzzle's words (rules match firestore.rules)
+     * @param {any} words - Words data from any puzzle source
+     * @returns {string[]|null} Validated array of words or null if invalid
+     */
+    static validateWords(words) {
+        // Check if words is an array
+        if (!Array.isArray(words)) {
+            console.warn('Words data is not an array:', typeof words);
+            return null;
+        }
+
+        // Filter and validate each word
+        const validatedWords = words
+            .filter(word => {
+                // Must be a string
+                if (typeof word !== 'string') {
+                    return false;
+                }
+                
+                // Must contain only letters (A-Z, a-z)
+                if (!/^[A-Za-z]+$/.test(word)) {
+                    return false;
+                }
+                
+                // Must be between 3 and 15 characters (reasonable word length)
+                if (word.length < 3 || word.length > 15) {
+                    return false;
+                }
+                
+                return true;
+            })
+            .map(word => word.toUpperCase()) // Normalize to uppercase
+            .filter((word, index, self) => self.indexOf(word) === index); // Remove duplicates
+
+        // Ensure we have at least some valid words
+        if (validatedWords.length === 0) {
+            console.warn('No valid words found after validation');
+            return null;
+        }
+
+        // Limit to reasonable number of words (prevent DoS)
+        if (validatedWords.length > 20) {
+            console.warn(`Too many words (${validatedWords.length}), limiting to 20`);
+            return validatedWords.slice(0, 20);
+        }
+
+        return validatedWords;
+    }
+}
+
+/**
+ * The daily_words collection in Firestore (firebase-service.js)
+ */
+class FirestorePuzzleProvider extends PuzzleProvider {
+    constructor(service) {
+        super('firestore');
+        this.service = service;
+        this.requiresNetwork = true;
+    }
+
+    async getWords(date) {
+        return this.service.getWordsForDate(date);
+    }
+}
+
+/**
+ * Static JSON files, one per date: <path>/YYYY-MM-DD.json holding { "words": [...] }
+ * (the format written by tools/generate-puzzles.js, split per date)
+ */
+class StaticPuzzleProvider extends PuzzleProvider {
+    constructor(path) {
+        super('static');
+        this.path = path.endsWith('/') ? path : `${path}/`;
+        this.requiresNetwork = true;
+    }
+
+    async getWords(date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return null;
+        }
+
+        const response = await fetch(`${this.path}${date}.json`, { cache: 'no-cache' });
+        if (!response.ok) {
+            console.warn(`No puzzle file for ${date}: ${response.status}`);
+            return null;
+        }
+
+        const data = await response.json();
+        const words = PuzzleProvider.validateWords(data && data.words);
+        if (words && typeof puzzleCache !== 'undefined') {
+            puzzleCache.put(date, words);
+        }
+        return words;
+    }
+}
+
+/**
+ * Puzzles kept on this device for offline play (puzzle-cache.js)
+ */
+class CachedPuzzleProvider extends PuzzleProvider {
+    constructor(cache) {
+        super('cache');
+        this.cache = cache;
+    }
+
+    async getWords(date) {
+        return this.cache.get(date);
+    }
+}
+
+/**
+ * Words drawn from the common word list, seeded on the date
+ * Every client with the same dictionary picks the same words, so it works as a shared puzzle
+ */
+class SeededPuzzleProvider extends PuzzleProvider {
+    constructor(dictionary, grids) {
+        super('generated');
+        this.dictionary = dictionary;
+        this.grids = grids;
+        this.WORD_LENGTH = 5;
+        this.WORD_COUNT = 5;
+        this.POOL_SIZE = 1000; // Most common words considered
+    }
+
+    async getWords(date) {
+        await this.dictionary.loadCommonWords();
+
+        // Only draw from the most common words of the specified length
+        const availableWords = this.dictionary.commonWordsOfLength(this.WORD_LENGTH).slice(0, this.POOL_SIZE);
+
+        if (availableWords.length < this.WORD_COUNT) {
+            console.error(`Not enough ${this.WORD_LENGTH}-letter words in dictionary. Available: ${availableWords.length}, needed: ${this.WORD_COUNT}`);
+            // Fallback to basic words
+            return ['CAT', 'DOG', 'BAT', 'HAT', 'MAT'];
+        }
+
+        const random = new SeededRandom(`wordjam:${date}:words`).random;
+        return this.grids.shuffle(availableWords, random).slice(0, this.WORD_COUNT);
+    }
+}
+
+/**
+ * A puzzle carried in the page URL (?puzzle=...), for sharing one-off puzzles
+ * The words are base64url-encoded so the link doesn't spoil them
+ */
+class CustomPuzzleProvider extends PuzzleProvider {
+    constructor() {
+        super('custom');
+    }
+
+    /**
+     * Encode words for a ?puzzle= link
+     * @param {string[]} words
+     * @returns {string}
+     */
+    static encode(words) {
+        return btoa(words.join(',').toUpperCase())
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a ?puzzle= value
+     * @returns {string[]|null}
+     */
+    static decode(value) {
+        try {
+            const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+            return PuzzleProvider.validateWords(atob(base64).split(','));
+        } catch (error) {
+            console.warn('Invalid custom puzzle link:', error);
+            return null;
+        }
+    }
+
+    async getWords(date) {
+        const value = new URLSearchParams(window.location.search).get('puzzle');
+        return value ? CustomPuzzleProvider.decode(value) : null;
+    }
+}
+
+/**
+ * Picks the puzzle for a date from the configured providers, in order
+ */
+class PuzzleSource {
+    constructor(config) {
+        this.order = config.puzzleProviders || ['custom', 'firestore', 'cache', 'generated'];
+        this.staticPath = config.staticPuzzlePath || 'puzzles/';
+        this.prefetchDays = Number.isInteger(config.prefetchDays) ? config.prefetchDays : 3;
+        this.factories = new Map();
+        this.providers = null;
+
+        // Providers whose scripts aren't on the page are left out (e.g. no Firebase SDK)
+        this.register('firestore', () => (typeof firebaseService !== 'undefined' ? new FirestorePuzzleProvider(firebaseService) : null));
+        this.register('static', () => new StaticPuzzleProvider(this.staticPath));
+        this.register('cache', () => (typeof puzzleCache !== 'undefined' ? new CachedPuzzleProvider(puzzleCache) : null));
+        this.register('generated', () => new SeededPuzzleProvider(dictionary, letterGrid));
+        this.register('custom', () => new CustomPuzzleProvider());
+    }
+
+    /**
+     * Add or replace a provider that can be named in the configured order
+     * @param {string} name
+     * @param {Function} factory - Returns a PuzzleProvider, or null if it can't run on this page
+     */
+    register(name, factory) {
+        this.factories.set(name, factory);
+        this.providers = null;
+    }
+
+    /**
+     * Providers in the configured order (created on first use)
+     * @returns {PuzzleProvider[]}
+     */
+    getProviders() {
+        if (!this.providers) {
+            this.providers = this.order
+                .map(name => {
+                    const factory = this.factories.get(name);
+                    if (!factory) {
+                        console.warn(`Unknown puzzle provider: ${name}`);
+                        return null;
+                    }
+                    return factory();
+                })
+                .filter(Boolean);
+        }
+        return this.providers;
+    }
+
+    /**
+     * Get the puzzle for a date from the first provider that has one
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {Object} [options] - { online: false skips providers that need the network }
+     * @returns {Promise<{words: string[], source: string}|null>}
+     */
+    async getPuzzle(date, options = {}) {
+        for (const provider of this.getProviders()) {
+            if (provider.requiresNetwork && options.online === false) {
+                continue;
+            }
+
+            try {
+                const words = await provider.getWords(date);
+                if (words && words.length > 0) {
+                    return { words, source: provider.name };
+                }
+            } catch (error) {
+                console.error(`Puzzle provider "${provider.name}" failed:`, error);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fetch the puzzles of the coming days while online, so the cache provider already has
+     * a new day's puzzle if it starts without a connection (the network providers cache what they fetch)
+     * @param {string} date - Today in YYYY-MM-DD format
+     */
+    async prefetch(date) {
+        if (typeof puzzleCache === 'undefined') return;
+        const providers = this.getProviders().filter(provider => provider.requiresNetwork);
+
+        for (let offset = 1; offset <= this.prefetchDays; offset++) {
+            const next = PuzzleHistory.shiftDate(date, offset);
+            if (await puzzleCache.get(next)) continue;
+
+            for (const provider of providers) {
+                try {
+                    if (await provider.getWords(next)) break;
+                } catch (error) {
+                    console.warn(`Could not prefetch ${next} from "${provider.name}":`, error);
+                }
+            }
+        }
+    }
+}
+
+// Create global puzzle source from the app configuration
+const puzzleSource = new PuzzleSource(typeof APP_CONFIG !== 'undefined' ? APP_CONFIG : {});
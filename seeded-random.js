@@ -0,0 +1,47 @@
+/**
+ * Seeded pseudo-random number generator
+ * Gives every client the same sequence for the same seed (e.g. a puzzle date),
+ * so generated puzzles and shuffles are reproducible
+ */
+class SeededRandom {
+    /**
+     * @param {string} seed - Any string, e.g. "wordjam:2026-10-19"
+     */
+    constructor(seed) {
+        this.state = SeededRandom.hashSeed(String(seed));
+        // Bound version that can stand in for Math.random
+        this.random = () => this.next();
+    }
+
+    /**
+     * Hash a string into a 32-bit integer seed (xmur3)
+     */
+    static hashSeed(seed) {
+        let hash = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+            hash = (hash << 13) | (hash >>> 19);
+        }
+        hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+        hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) (mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Share card image
+ * Renders the result (logo, puzzle number, tries, time and find grid) on a canvas,
+ * so it can be attached through the Web Share files API or downloaded as a PNG
+ */
+class ShareCard {
+    constructor(builder) {
+        this.builder = builder;
+        this.WIDTH = 1080;
+        this.HEIGHT = 1080;
+        this.LOGO_SRC = 'img/home-page-logo.png';
+        this.FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif";
+        this.COLORS = {
+            background: '#181826',
+            card: '#34344F',
+            text: '#FFFFFF',
+            textSecondary: '#B8B8B8',
+            level: '#50C878',
+            bonus: '#4A90E2',
+            revealed: '#F5C139',
+            empty: '#2D3561'
+        };
+        this.logoPromise = null;
+    }
+
+    /**
+     * Load the logo once (resolves null if it can't be loaded, the card then shows the app name)
+     * @returns {Promise<HTMLImageElement|null>}
+     */
+    loadLogo() {
+        if (!this.logoPromise) {
+            this.logoPromise = new Promise((resolve) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => {
+                    console.warn('Share card logo could not be loaded');
+                    resolve(null);
+                };
+                image.src = this.LOGO_SRC;
+            });
+        }
+        return this.logoPromise;
+    }
+
+    /**
+     * Draw a rounded rectangle path
+     */
+    roundRect(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    }
+
+    /**
+     * Draw the find grid centered in a box, one row per try
+     */
+    drawGrid(ctx, sequence, top, maxWidth, maxHeight) {
+        const { rows, trimmed } = this.builder.getGridRows(sequence);
+        const gap = 12;
+        const longestRow = Math.max(1, ...rows.map(row => row.length));
+        const size = Math.floor(Math.min(
+            72,
+            (maxWidth - gap * (longestRow - 1)) / longestRow,
+            (maxHeight - gap * (rows.length - 1)) / rows.length
+        ));
+        const gridHeight = rows.length * size + (rows.length - 1) * gap;
+        let y = top + (maxHeight - gridHeight) / 2;
+
+        if (trimmed) {
+            ctx.fillStyle = this.COLORS.textSecondary;
+            ctx.font = `600 28px ${this.FONT}`;
+            ctx.fillText('…', this.WIDTH / 2, y - 24);
+        }
+
+        for (const row of rows) {
+            // An empty try is drawn as a single empty square
+            const cells = row.length > 0 ? row : [null];
+            const rowWidth = cells.length * size + (cells.length - 1) * gap;
+            let x = (this.WIDTH - rowWidth) / 2;
+            for (const entry of cells) {
+                ctx.fillStyle = entry === 'L' ? this.COLORS.level
+                    : entry === 'B' ? this.COLORS.bonus
+                        : entry === 'V' ? this.COLORS.revealed
+                            : this.COLORS.empty;
+                this.roundRect(ctx, x, y, size, size, Math.round(size * 0.18));
+                ctx.fill();
+                x += size + gap;
+            }
+            y += size + gap;
+        }
+    }
+
+    /**
+     * Render the card for a result
+     * @param {Object} result - { date, archive, tries, time, tryTime, sequence, powerUps, undos }
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async render(result) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.WIDTH;
+        canvas.height = this.HEIGHT;
+        const ctx = canvas.getContext('2d');
+        const centerX = this.WIDTH / 2;
+        const tries = result.tries || 1;
+        const sequence = result.sequence || [];
+        const bonusWords = sequence.filter(entry => entry === 'B').length;
+
+        ctx.fillStyle = this.COLORS.background;
+        ctx.fillRect(0, 0, this.WIDTH, this.HEIGHT);
+        ctx.fillStyle = this.COLORS.card;
+        this.roundRect(ctx, 60, 60, this.WIDTH - 120, this.HEIGHT - 120, 40);
+        ctx.fill();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // Logo (or the app name if the image isn't available)
+        const logo = await this.loadLogo();
+        if (logo) {
+            const logoWidth = 420;
+            const logoHeight = logoWidth * (logo.naturalHeight / logo.naturalWidth);
+            ctx.drawImage(logo, centerX - logoWidth / 2, 110, logoWidth, logoHeight);
+        } else {
+            ctx.fillStyle = this.COLORS.text;
+            ctx.font = `800 96px ${this.FONT}`;
+            ctx.fillText(this.builder.config.appName, centerX, 200);
+        }
+
+        // Puzzle number
+        ctx.fillStyle = this.COLORS.text;
+        ctx.font = `700 64px ${this.FONT}`;
+        const puzzleLabel = `Puzzle #${this.builder.getPuzzleNumber(result.date)}`;
+        ctx.fillText(result.archive ? `${puzzleLabel} (archive)` : puzzleLabel, centerX, 370);
+
+        // Tries and time
+        const summary = [`${tries} ${tries === 1 ? 'try' : 'tries'}`];
+        if (result.undos > 0) {
+            summary.push(this.builder.describeUndos(result.undos));
+        }
+        if (result.time) {
+            summary.push(this.builder.describeTime(result));
+        }
+        ctx.fillStyle = this.COLORS.textSecondary;
+        ctx.font = `600 44px ${this.FONT}`;
+        ctx.fillText(summary.join('  ·  '), centerX, 450);
+
+        this.drawGrid(ctx, sequence, 520, this.WIDTH - 240, 320);
+
+        ctx.fillStyle = this.COLORS.textSecondary;
+        ctx.font = `600 36px ${this.FONT}`;
+        const footer = [`${bonusWords} bonus ${bonusWords === 1 ? 'word' : 'words'}`];
+        const powerUps = this.builder.describePowerUps(result.powerUps);
+        if (powerUps) {
+            footer.push(powerUps);
+        }
+        ctx.fillText(footer.join('  ·  '), centerX, 885);
+
+        ctx.fillStyle = this.COLORS.text;
+        ctx.font = `500 30px ${this.FONT}`;
+        ctx.fillText(this.builder.config.baseUrl.replace(/^https?:\/\//, '').replace(/\/$/, ''), centerX, 960);
+
+        return canvas;
+    }
+
+    /**
+     * Render the card as a PNG file
+     * @param {Object} result - { date, archive, tries, time, tryTime, sequence, powerUps, undos }
+     * @returns {Promise<File>}
+     */
+    async toFile(result) {
+        const canvas = await this.render(result);
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(value => (value ? resolve(value) : reject(new Error('Canvas export failed'))), 'image/png');
+        });
+        const fileName = `${this.builder.config.appName.toLowerCase()}-${result.date}.png`;
+        return new File([blob], fileName, { type: 'image/png' });
+    }
+
+    /**
+     * Whether the browser can share image files through the Web Share API
+     */
+    static canShareFiles() {
+        if (!navigator.canShare || typeof File === 'undefined') {
+            return false;
+        }
+        try {
+            return navigator.canShare({ files: [new File([''], 'probe.png', { type: 'image/png' })] });
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Create global share card renderer
+const shareCard = new ShareCard(shareBuilder);
@@ -0,0 +1,160 @@
+/**
+ * Share payload generator
+ * Builds the spoiler-free result shared to X/Twitter or the clipboard:
+ * puzzle number, tries, time and an emoji grid of the order words were found
+ */
+class ShareBuilder {
+    constructor(config) {
+        this.config = config;
+        this.LEVEL_WORD = '🟩';
+        this.BONUS_WORD = '🟦';
+        this.REVEALED_WORD = '🟨';
+        this.EMPTY_TRY = '⬜';
+        this.MAX_GRID_ROWS = 8; // Longer histories are trimmed to the last tries
+    }
+
+    /**
+     * Puzzle number for a date, counted from the launch date (launch day is #1)
+     * @param {string} date - Date in YYYY-MM-DD format
+     */
+    getPuzzleNumber(date) {
+        return puzzleCalendar.getPuzzleNumber(date);
+    }
+
+    /**
+     * Format milliseconds as m:ss (or h:mm:ss)
+     */
+    formatTime(ms) {
+        const totalSeconds = Math.max(0, Math.floor((ms || 0) / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Split a find sequence into one row per try
+     * @param {string[]} sequence - 'L' (level word), 'B' (bonus word), 'V' (revealed word) and 'R' (new try) entries
+     * @returns {{rows: string[][], trimmed: boolean}} rows of 'L'/'B'/'V', limited to the last MAX_GRID_ROWS tries
+     */
+    getGridRows(sequence) {
+        const rows = [[]];
+        for (const entry of sequence || []) {
+            if (entry === 'R') {
+                rows.push([]);
+            } else if (entry === 'L' || entry === 'B' || entry === 'V') {
+                rows[rows.length - 1].push(entry);
+            }
+        }
+
+        if (rows.length > this.MAX_GRID_ROWS) {
+            return { rows: rows.slice(-this.MAX_GRID_ROWS), trimmed: true };
+        }
+        return { rows, trimmed: false };
+    }
+
+    /**
+     * Emoji grid: one row per try, one square per word in the order it was found
+     * @param {string[]} sequence - 'L' (level word), 'B' (bonus word), 'V' (revealed word) and 'R' (new try) entries
+     * @returns {string}
+     */
+    buildEmojiGrid(sequence) {
+        const { rows, trimmed } = this.getGridRows(sequence);
+        const lines = rows.map(row => (row.length > 0
+            ? row.map(entry => this.getSquare(entry)).join('')
+            : this.EMPTY_TRY));
+        return (trimmed ? ['…', ...lines] : lines).join('\n');
+    }
+
+    /**
+     * Emoji square for a sequence entry
+     */
+    getSquare(entry) {
+        if (entry === 'B') return this.BONUS_WORD;
+        if (entry === 'V') return this.REVEALED_WORD;
+        return this.LEVEL_WORD;
+    }
+
+    /**
+     * Describe power-up use, e.g. "1 hint · 2 shuffles" (empty if none were used)
+     * @param {Object} [powerUps] - { hint, shuffle, reveal } counts
+     */
+    describePowerUps(powerUps) {
+        if (!powerUps) return '';
+        const names = [['hint', 'hint', 'hints'], ['shuffle', 'shuffle', 'shuffles'], ['reveal', 'reveal', 'reveals']];
+        return names
+            .filter(([key]) => powerUps[key] > 0)
+            .map(([key, one, many]) => `${powerUps[key]} ${powerUps[key] === 1 ? one : many}`)
+            .join(' · ');
+    }
+
+    /**
+     * Total time, plus the last try's time when there were several tries, e.g. "3:10 (last try 1:05)"
+     * @param {Object} result - { tries, time, tryTime }
+     */
+    describeTime(result) {
+        const total = this.formatTime(result.time);
+        if (result.tries > 1 && result.tryTime > 0 && result.tryTime < result.time) {
+            return `${total} (last try ${this.formatTime(result.tryTime)})`;
+        }
+        return total;
+    }
+
+    /**
+     * "1 undo" / "3 undos"
+     */
+    describeUndos(undos) {
+        return `${undos} ${undos === 1 ? 'undo' : 'undos'}`;
+    }
+
+    /**
+     * Build the share payload for a result
+     * Undos never add tries: they are reported next to the tries count instead
+     * @param {Object} result - { date, archive, tries, time, tryTime, sequence, powerUps, undos }
+     * @returns {{title: string, message: string, url: string, text: string}}
+     *          message is everything but the URL (for intents that take the URL separately),
+     *          text is the full share text
+     */
+    buildPayload(result) {
+        const tries = result.tries || 1;
+        const sequence = result.sequence || [];
+        const bonusWords = sequence.filter(entry => entry === 'B').length;
+
+        const title = `${this.config.appName} #${this.getPuzzleNumber(result.date)}${result.archive ? ' (archive)' : ''}`;
+        const lines = [title];
+
+        const summary = [`🔁 ${tries} ${tries === 1 ? 'try' : 'tries'}`];
+        if (result.undos > 0) {
+            summary.push(`↩️ ${this.describeUndos(result.undos)}`);
+        }
+        if (result.time) {
+            summary.push(`⏱ ${this.describeTime(result)}`);
+        }
+        lines.push(summary.join(' · '));
+
+        if (sequence.length > 0) {
+            lines.push(this.buildEmojiGrid(sequence));
+        }
+        lines.push(`⭐ ${bonusWords} bonus ${bonusWords === 1 ? 'word' : 'words'}`);
+
+        // Assisted results say so
+        const powerUps = this.describePowerUps(result.powerUps);
+        if (powerUps) {
+            lines.push(`💡 ${powerUps}`);
+        }
+
+        const message = lines.join('\n');
+        const url = this.config.baseUrl;
+        return {
+            title,
+            message,
+            url,
+            text: `${message}\n${url}`
+        };
+    }
+}
+
+// Create global share builder
+const shareBuilder = new ShareBuilder(APP_CONFIG);
@@ -0,0 +1,334 @@
+/**
+ * Local storage layer
+ * Every module saves through this instead of calling localStorage directly. Values are JSON
+ * under "wordjam_<key>"; per-puzzle data uses per-date keys ("progress_2026-10-19").
+ * On load it upgrades data saved by older versions, drops data of long-finished puzzles, and keeps
+ * working in memory when the browser can't persist (private mode, storage full or disabled).
+ */
+class GameStorage {
+    constructor() {
+        this.PREFIX = 'wordjam_';
+        this.VERSION_KEY = 'schemaVersion';
+        this.VERSION = 2;
+        this.STALE_DAYS = 30; // Data of finished puzzles not played for this long is dropped
+        this.DAY_KINDS = ['progress', 'gameState']; // Per-date data that can go stale
+        this.backend = GameStorage.openBackend();
+        this.memory = new Map(); // Values that couldn't be persisted, kept for this page
+
+        // Each step upgrades data from the previous version
+        this.MIGRATIONS = {
+            2: () => this.migrateToDateKeys()
+        };
+
+        this.migrate();
+        this.prune();
+    }
+
+    /**
+     * localStorage if it can be used, otherwise null (values then only live in memory)
+     */
+    static openBackend() {
+        try {
+            const probe = '__wordjam_probe__';
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return localStorage;
+        } catch (error) {
+            // A full storage can still be read, and pruning may make room
+            if (GameStorage.isQuotaError(error)) {
+                return localStorage;
+            }
+            console.warn('Storage unavailable, progress will not be saved:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Whether saved values survive a reload
+     */
+    isPersistent() {
+        return this.backend !== null;
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Key without the "wordjam_" prefix
+     * @param {*} [fallback] - Returned when the key is missing or unreadable
+     */
+    get(key, fallback = null) {
+        if (this.memory.has(key)) {
+            return this.memory.get(key);
+        }
+        const raw = this.getRaw(key);
+        if (raw === null) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a value (JSON-serializable)
+     * When storage is full, stale data is pruned and the write retried once
+     * @returns {boolean} Whether the value was persisted
+     */
+    set(key, value) {
+        const raw = JSON.stringify(value);
+        if (this.backend) {
+            try {
+                this.backend.setItem(this.PREFIX + key, raw);
+                this.memory.delete(key);
+                return true;
+            } catch (error) {
+                if (GameStorage.isQuotaError(error)) {
+                    console.warn('Storage full, pruning old puzzle data');
+                    this.prune(0, key);
+                    try {
+                        this.backend.setItem(this.PREFIX + key, raw);
+                        this.memory.delete(key);
+                        return true;
+                    } catch (retryError) {
+                        console.error(`Could not save ${key}:`, retryError);
+                    }
+                } else {
+                    console.error(`Could not save ${key}:`, error);
+                }
+            }
+        }
+        this.memory.set(key, JSON.parse(raw));
+        return false;
+    }
+
+    /**
+     * Delete a value
+     */
+    remove(key) {
+        this.memory.delete(key);
+        if (this.backend) {
+            try {
+                this.backend.removeItem(this.PREFIX + key);
+            } catch (error) {
+                console.error(`Could not remove ${key}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Keys (without the prefix) that start with a given string
+     * @returns {string[]}
+     */
+    keys(prefix = '') {
+        const keys = new Set([...this.memory.keys()].filter(key => key.startsWith(prefix)));
+        if (this.backend) {
+            for (let i = 0; i < this.backend.length; i++) {
+                const key = this.backend.key(i);
+                if (key && key.startsWith(this.PREFIX + prefix)) {
+                    keys.add(key.slice(this.PREFIX.length));
+                }
+            }
+        }
+        return [...keys];
+    }
+
+    /**
+     * Key of per-date data, e.g. dayKey('progress', '2026-10-19')
+     */
+    dayKey(kind, date) {
+        return `${kind}_${date}`;
+    }
+
+    getRaw(key) {
+        if (!this.backend) return null;
+        try {
+            return this.backend.getItem(this.PREFIX + key);
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Run the migrations between the saved schema version and the current one
+     * Data from before versioning is version 1 (or a fresh install if there's nothing saved)
+     */
+    migrate() {
+        if (!this.backend) return;
+
+        let version = this.get(this.VERSION_KEY);
+        if (!Number.isInteger(version)) {
+            version = this.keys().length > 0 || this.backend.getItem('completedResetCount') !== null ? 1 : this.VERSION;
+        }
+
+        while (version < this.VERSION) {
+            version++;
+            try {
+                this.MIGRATIONS[version]();
+                console.log(`Storage migrated to version ${version}`);
+            } catch (error) {
+                console.error(`Storage migration to version ${version} failed:`, error);
+            }
+        }
+        this.set(this.VERSION_KEY, this.VERSION);
+    }
+
+    /**
+     * Version 2: found words move from "foundWords_<sorted level words>" keys to
+     * "progress_<date>" (matched through the history), the old array format becomes an object,
+     * and the global completion keys are dropped once their tries are in the history.
+     * Keys without a matching date stay until the game loads that puzzle (adoptLegacyProgress)
+     */
+    migrateToDateKeys() {
+        const history = this.get('history', {});
+        const datesByWords = new Map();
+        Object.keys(history).forEach(date => {
+            const words = history[date] && Array.isArray(history[date].words) ? history[date].words : null;
+            if (words) {
+                datesByWords.set(GameStorage.sortWords(words).join(','), date);
+            }
+        });
+
+        this.keys('foundWords_').forEach(key => {
+            const sortedWords = key.slice('foundWords_'.length);
+            const date = datesByWords.get(sortedWords);
+            if (date) {
+                this.adoptLegacyProgress(date, sortedWords.split(','));
+            }
+        });
+
+        // The last completed daily puzzle: its words and tries, outside the prefix
+        let completedWords = null;
+        try {
+            completedWords = JSON.parse(this.backend.getItem('completedWords'));
+        } catch (error) {
+            console.warn('Unreadable completedWords:', error);
+        }
+        const tries = parseInt(this.backend.getItem('completedResetCount'), 10);
+        const date = Array.isArray(completedWords) ? datesByWords.get(GameStorage.sortWords(completedWords).join(',')) : null;
+        if (!date) return;
+
+        if (Number.isInteger(tries) && tries > 0 && !(parseInt(history[date].tries, 10) > 0)) {
+            history[date].tries = tries;
+            if (!this.set('history', history)) return;
+        }
+        this.backend.removeItem('completedWords');
+        this.backend.removeItem('completedResetCount');
+    }
+
+    /**
+     * Move a puzzle's progress from its version 1 "foundWords_<sorted level words>" key to
+     * "progress_<date>", converting the old array format
+     * The old key is only removed once the progress is saved under the date
+     * @param {string} date - Date in YYYY-MM-DD format
+     * @param {string[]} words - The puzzle's level words
+     * @returns {boolean} Whether there was progress to move
+     */
+    adoptLegacyProgress(date, words) {
+        const sortedWords = GameStorage.sortWords(words);
+        const legacyKey = `foundWords_${sortedWords.join(',')}`;
+        const data = this.get(legacyKey);
+        if (!data || typeof data !== 'object') return false;
+
+        // Progress already saved under the date for the same words is newer
+        const key = this.dayKey('progress', date);
+        const existing = this.get(key);
+        const isCurrent = existing && Array.isArray(existing.words) && existing.words.join(',') === sortedWords.join(',');
+        if (!isCurrent) {
+            const progress = Array.isArray(data)
+                ? { levelWords: data.filter(word => sortedWords.includes(String(word).toUpperCase())), otherWords: [] }
+                : Object.assign({}, data);
+            progress.words = sortedWords;
+            if (!this.set(key, progress)) return false;
+        }
+        this.remove(legacyKey);
+        return true;
+    }
+
+    /**
+     * Level words in the form the storage keys use: upper case, sorted
+     */
+    static sortWords(words) {
+        return words.map(word => String(word).toUpperCase()).sort();
+    }
+
+    /**
+     * Drop per-date data of puzzles not played for more than maxAgeDays
+     * Activity is the history record's updatedAt or the saved grid's savedAt (the date itself for
+     * data without either). A puzzle still in progress and today's puzzle are never dropped, so an
+     * old archive day keeps its progress for as long as it's unfinished
+     * @param {number} [maxAgeDays] - 0 clears every finished day but today (used when storage is full)
+     * @param {string} [keep] - Key to leave alone (the one being written)
+     */
+    prune(maxAgeDays = this.STALE_DAYS, keep = null) {
+        const today = this.getToday();
+        const cutoffTime = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+        const [year, month, day] = today.split('-').map(Number);
+        const cutoff = new Date(year, month - 1, day - maxAgeDays);
+        const cutoffDate = [
+            cutoff.getFullYear(),
+            String(cutoff.getMonth() + 1).padStart(2, '0'),
+            String(cutoff.getDate()).padStart(2, '0')
+        ].join('-');
+
+        const history = this.get('history', {}) || {};
+        const isStale = (date) => {
+            const record = history[date];
+            if (record && record.status === 'in-progress') return false;
+
+            const state = this.get(this.dayKey('gameState', date));
+            const lastActive = Math.max(
+                record ? parseInt(record.updatedAt, 10) || 0 : 0,
+                state ? parseInt(state.savedAt, 10) || 0 : 0
+            );
+            return lastActive > 0 ? lastActive < cutoffTime : date < cutoffDate;
+        };
+
+        let removed = 0;
+        this.DAY_KINDS.forEach(kind => {
+            this.keys(`${kind}_`).forEach(key => {
+                const date = key.slice(kind.length + 1);
+                if (key !== keep && /^\d{4}-\d{2}-\d{2}$/.test(date) && date < today && isStale(date)) {
+                    this.remove(key);
+                    removed++;
+                }
+            });
+        });
+        if (removed > 0) {
+            console.log(`Pruned ${removed} stale puzzle entries`);
+        }
+    }
+
+    /**
+     * Current puzzle date, from the puzzle calendar where the page loads it first
+     * (so a UTC rollover agrees with the rest of the app), else the local date
+     */
+    getToday() {
+        if (typeof puzzleCalendar !== 'undefined') {
+            return puzzleCalendar.getToday();
+        }
+        const now = new Date();
+        return [
+            now.getFullYear(),
+            String(now.getMonth() + 1).padStart(2, '0'),
+            String(now.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    /**
+     * Whether an error means the storage quota is used up
+     */
+    static isQuotaError(error) {
+        return error instanceof DOMException && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+}
+
+// Create global storage instance
+const storage = new GameStorage();
@@ -1,13 +1,40 @@
 // Service Worker for WordJam PWA
-const CACHE_NAME = 'wordjam-v4';
+const CACHE_NAME = 'wordjam-v19';
 const urlsToCache = [
   './',
   './index.html',
   './completion.html',
   './game.html',
+  './archive.html',
+  './manifest.json',
   './styles.css',
+  './index.js',
+  './completion.js',
+  './archive.js',
+  './storage.js',
+  './progress-transfer.js',
+  './progress-sync.js',
+  './puzzle-history.js',
+  './app-config.js',
+  './puzzle-calendar.js',
+  './share.js',
+  './share-card.js',
+  './leaderboard.js',
+  './game-settings.js',
+  './puzzle-clock.js',
   './game.js',
+  './connectivity.js',
+  './puzzle-cache.js',
+  './packed-dictionary.js',
   './dictionary.js',
+  './dictionary-worker.js',
+  './dictionary.bin',
+  './common-words.txt',
+  './grid-solver.js',
+  './letter-grid.js',
+  './difficulty-analyzer.js',
+  './seeded-random.js',
+  './puzzle-providers.js',
   './firebase-config.js',
   './firebase-service.js',
   './sw-register.js',
@@ -61,6 +88,12 @@ self.addEventListener('message', (event) => {
 // Fetch event - network first for HTML, CSS and images, cache first for others
 self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
+
+  // Reachability checks (connectivity.js) must always go to the network
+  if (url.searchParams.has('reachability')) {
+    return;
+  }
+
   const isHTML = event.request.destination === 'document' || url.pathname.endsWith('.html');
   const isCSS = url.pathname.endsWith('.css');
   const isImage = /\.(png|jpg|jpeg|svg|gif|webp)$/i.test(url.pathname);
@@ -79,8 +112,8 @@ self.addEventListener('fetch', (event) => {
           return response;
         })
         .catch(() => {
-          // If network fails, try cache
-          return caches.match(event.request);
+          // If network fails, try cache (pages may carry a query string, e.g. game.html?date=)
+          return caches.match(event.request, { ignoreSearch: isHTML });
         })
     );
   } else {
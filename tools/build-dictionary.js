@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Dictionary packer
+ * Packs dictionary.txt into dictionary.bin, the compact word graph the game loads
+ * (format in packed-dictionary.js), and checks that every word reads back.
+ * After changing the word list, run this and bump CACHE_NAME in sw.js so players get the new
+ * file; copies stored by dictionary-worker.js are replaced because the header checksum changes.
+ * Run with --check before deploying: it fails if dictionary.bin wasn't rebuilt.
+ *
+ * Usage:
+ *   node tools/build-dictionary.js [options]
+ *
+ * Options:
+ *   --in      Word list, one word per line (default dictionary.txt)
+ *   --out     Packed output (default dictionary.bin)
+ *   --check   Don't write; exit with an error if --out differs from what --in packs to
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ROOT, loadGameScripts } = require('./load-game-scripts');
+
+const OPTIONS = {
+    in: { type: 'string', default: path.join(ROOT, 'dictionary.txt') },
+    out: { type: 'string', default: path.join(ROOT, 'dictionary.bin') },
+    check: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function main() {
+    const { values } = parseArgs({ options: OPTIONS });
+    if (values.help) {
+        const usage = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(usage.replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    const { PackedDictionary } = loadGameScripts(['packed-dictionary.js'], ['PackedDictionary']);
+    const text = fs.readFileSync(values.in, 'utf8');
+    const words = [...new Set(text.split('\n').map(word => word.trim().toUpperCase()).filter(word => word.length > 0))];
+    const skipped = words.filter(word => !/^[A-Z]+$/.test(word));
+    if (skipped.length > 0) {
+        console.error(`Skipping ${skipped.length} word(s) with characters other than A-Z, e.g. ${skipped.slice(0, 5).join(', ')}`);
+    }
+
+    const buffer = PackedDictionary.build(words);
+    const packed = new PackedDictionary(buffer);
+
+    // Every word must read back, and nothing else
+    const expected = words.length - skipped.length;
+    const missing = words.filter(word => /^[A-Z]+$/.test(word) && !packed.has(word));
+    const total = Object.values(countByLength(packed)).reduce((sum, count) => sum + count, 0);
+    if (missing.length > 0 || packed.wordCount !== expected || total !== expected) {
+        throw new Error(`Packed dictionary doesn't match the word list (${missing.length} missing, ${total} of ${expected} words)`);
+    }
+
+    if (values.check) {
+        const current = fs.existsSync(values.out) ? fs.readFileSync(values.out) : null;
+        if (!current || !current.equals(Buffer.from(buffer))) {
+            throw new Error(`${values.out} is out of date with ${values.in}; run node tools/build-dictionary.js`);
+        }
+        console.error(`${values.out} matches ${values.in} (${expected} words)`);
+        return;
+    }
+
+    fs.writeFileSync(values.out, Buffer.from(buffer));
+    console.error(`Packed ${expected} words into ${values.out}: ${buffer.byteLength} bytes (${text.length} bytes of text), ${packed.edges.length} edges`);
+}
+
+function countByLength(packed) {
+    const counts = {};
+    for (let length = 1; length <= packed.maxLength; length++) {
+        counts[length] = packed.countWords(length);
+    }
+    return counts;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * Puzzle generator
+ * Picks word sets for a range of dates, ready to import into the daily_words collection.
+ *
+ * Usage:
+ *   node tools/generate-puzzles.js --from 2026-11-01 --to 2026-11-30 [options] > puzzles.json
+ *
+ * Options:
+ *   --from, --to          First and last date (YYYY-MM-DD, inclusive)
+ *   --length              Letters per word (default 5)
+ *   --count               Words per puzzle (default 5)
+ *   --no-repeat-days      Days before a date in which its words may not have been used (default 30)
+ *   --history             Schedule JSON already in use (same format as the output), checked for repeats
+ *   --min-difficulty      Lowest difficulty rating, 0-100 (default 0)
+ *   --max-difficulty      Highest difficulty rating, 0-100 (default 100)
+ *   --common-words        Common word list, most frequent first (default common-words.txt)
+ *   --pool                Most common words per length to pick from (default 1500)
+ *   --attempts            Word sets tried per date before giving up (default 500)
+ *   --seed                Seed for reproducible output (default "wordjam")
+ *   --out                 Write to a file instead of stdout
+ *   --out-dir             Write one YYYY-MM-DD.json file per date instead (for the 'static' puzzle provider)
+ *
+ * Output: { "YYYY-MM-DD": { "words": [...] }, ... } — the document for each date
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadGameScripts } = require('./load-game-scripts');
+
+// Limits enforced by FirebaseService.validateWords and firestore.rules
+const MIN_WORD_LENGTH = 3;
+const MAX_WORD_LENGTH = 15;
+const MAX_WORD_COUNT = 20;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const OPTIONS = {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    length: { type: 'string', default: '5' },
+    count: { type: 'string', default: '5' },
+    'no-repeat-days': { type: 'string', default: '30' },
+    history: { type: 'string' },
+    'min-difficulty': { type: 'string', default: '0' },
+    'max-difficulty': { type: 'string', default: '100' },
+    'common-words': { type: 'string' },
+    pool: { type: 'string', default: '1500' },
+    attempts: { type: 'string', default: '500' },
+    seed: { type: 'string', default: 'wordjam' },
+    out: { type: 'string' },
+    'out-dir': { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse an integer option within bounds
+ */
+function readInteger(values, name, min, max) {
+    const value = Number(values[name]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`--${name} must be a whole number from ${min} to ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Parse a YYYY-MM-DD date option
+ */
+function readDate(values, name) {
+    const value = values[name];
+    if (!value || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+        throw new Error(`--${name} must be a date in YYYY-MM-DD format`);
+    }
+    return value;
+}
+
+/**
+ * Dates from first to last, inclusive
+ */
+function datesBetween(first, last) {
+    const dates = [];
+    const day = new Date(`${first}T00:00:00Z`);
+    const end = new Date(`${last}T00:00:00Z`);
+    while (day <= end) {
+        dates.push(day.toISOString().slice(0, 10));
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+    return dates;
+}
+
+/**
+ * Days from one date to another
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Load an existing schedule ({ date: { words } }) as date -> words
+ */
+function readSchedule(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const schedule = new Map();
+    Object.keys(data).forEach(date => {
+        if (DATE_PATTERN.test(date) && data[date] && Array.isArray(data[date].words)) {
+            schedule.set(date, data[date].words.map(word => String(word).toUpperCase()));
+        }
+    });
+    return schedule;
+}
+
+/**
+ * Words used in the days before a date
+ */
+function recentWords(schedule, date, days) {
+    const words = new Set();
+    for (const [usedDate, usedWords] of schedule) {
+        const age = daysBetween(usedDate, date);
+        if (age > 0 && age <= days) {
+            usedWords.forEach(word => words.add(word));
+        }
+    }
+    return words;
+}
+
+/**
+ * Generate the word set for one date
+ * @returns {{words: string[], rating: number, label: string}|null} null if no set met the constraints
+ */
+function generateForDate(date, settings, game, schedule) {
+    const { dictionary, difficultyAnalyzer, PuzzleProvider, SeededRandom } = game;
+    const random = new SeededRandom(`${settings.seed}:${date}`).random;
+    const excluded = recentWords(schedule, date, settings.noRepeatDays);
+    const pool = dictionary.commonWordsOfLength(settings.length)
+        .slice(0, settings.pool)
+        .filter(word => !excluded.has(word));
+
+    if (pool.length < settings.count) {
+        return null;
+    }
+
+    for (let attempt = 0; attempt < settings.attempts; attempt++) {
+        const words = game.letterGrid.shuffle(pool, random).slice(0, settings.count);
+        const validated = PuzzleProvider.validateWords(words);
+        if (!validated || validated.length !== settings.count) continue;
+
+        const { rating, label } = difficultyAnalyzer.analyze(validated);
+        if (rating >= settings.minDifficulty && rating <= settings.maxDifficulty) {
+            return { words: validated, rating, label };
+        }
+    }
+    return null;
+}
+
+async function main() {
+    const { values } = parseArgs({ options: OPTIONS });
+    if (values.help) {
+        const usage = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(usage.replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    const settings = {
+        from: readDate(values, 'from'),
+        to: readDate(values, 'to'),
+        length: readInteger(values, 'length', MIN_WORD_LENGTH, MAX_WORD_LENGTH),
+        count: readInteger(values, 'count', 1, MAX_WORD_COUNT),
+        noRepeatDays: readInteger(values, 'no-repeat-days', 0, 3650),
+        minDifficulty: readInteger(values, 'min-difficulty', 0, 100),
+        maxDifficulty: readInteger(values, 'max-difficulty', 0, 100),
+        pool: readInteger(values, 'pool', 1, 1000000),
+        attempts: readInteger(values, 'attempts', 1, 100000),
+        seed: values.seed
+    };
+    if (settings.from > settings.to) {
+        throw new Error('--from must not be after --to');
+    }
+    if (settings.minDifficulty > settings.maxDifficulty) {
+        throw new Error('--min-difficulty must not be above --max-difficulty');
+    }
+
+    // Script logs go to stderr so stdout stays valid JSON
+    const scriptConsole = { log: console.error, warn: console.error, error: console.error };
+    const files = values['common-words'] ? { 'common-words.txt': path.resolve(values['common-words']) } : {};
+    const game = loadGameScripts(
+        ['packed-dictionary.js', 'dictionary.js', 'grid-solver.js', 'letter-grid.js', 'difficulty-analyzer.js', 'seeded-random.js', 'puzzle-providers.js'],
+        ['dictionary', 'difficultyAnalyzer', 'letterGrid', 'SeededRandom', 'PuzzleProvider'],
+        { files, console: scriptConsole }
+    );
+    await game.dictionary.loadCommonWords();
+
+    const schedule = values.history ? readSchedule(values.history) : new Map();
+    const output = {};
+    const failed = [];
+
+    for (const date of datesBetween(settings.from, settings.to)) {
+        const puzzle = generateForDate(date, settings, game, schedule);
+        if (!puzzle) {
+            failed.push(date);
+            console.error(`${date}: no word set met the constraints`);
+            continue;
+        }
+        schedule.set(date, puzzle.words);
+        output[date] = { words: puzzle.words };
+        console.error(`${date}: ${puzzle.words.join(', ')} (difficulty ${puzzle.rating}, ${puzzle.label})`);
+    }
+
+    const json = JSON.stringify(output, null, 2) + '\n';
+    if (values['out-dir']) {
+        fs.mkdirSync(values['out-dir'], { recursive: true });
+        Object.keys(output).forEach(date => {
+            fs.writeFileSync(path.join(values['out-dir'], `${date}.json`), JSON.stringify(output[date]) + '\n');
+        });
+        console.error(`Wrote ${Object.keys(output).length} puzzle files to ${values['out-dir']}`);
+    } else if (values.out) {
+        fs.writeFileSync(values.out, json);
+        console.error(`Wrote ${Object.keys(output).length} puzzles to ${values.out}`);
+    } else {
+        process.stdout.write(json);
+    }
+
+    if (failed.length > 0) {
+        console.error(`Could not generate ${failed.length} date(s); try a wider difficulty range, a bigger pool or fewer repeat days`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
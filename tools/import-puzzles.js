@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Puzzle importer
+ * Writes a schedule of puzzles to the daily_words collection and reports gaps in the
+ * upcoming schedule. Targets the local Firestore emulator unless --production is given.
+ *
+ * Usage:
+ *   firebase emulators:start --only firestore
+ *   node tools/import-puzzles.js november.json
+ *
+ * Options:
+ *   --overwrite           Replace dates that already have a puzzle (default: skip them)
+ *   --dry-run             Validate and report without writing
+ *   --gap-days            Days from today checked for missing puzzles (default 30)
+ *   --emulator            Emulator address (default $FIRESTORE_EMULATOR_HOST or localhost:8080)
+ *   --project             Project ID (default: projectId in firebase-config.js)
+ *   --production          Write to the live project; needs an OAuth access token in
+ *                         $FIRESTORE_TOKEN (e.g. from `gcloud auth print-access-token`)
+ *
+ * Input: { "YYYY-MM-DD": { "words": [...] }, ... } as written by tools/generate-puzzles.js
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadGameScripts } = require('./load-game-scripts');
+
+const COLLECTION = 'daily_words';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PAGE_SIZE = 300;
+
+const OPTIONS = {
+    overwrite: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    'gap-days': { type: 'string', default: '30' },
+    emulator: { type: 'string' },
+    project: { type: 'string' },
+    production: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Firestore REST client for the daily_words collection
+ * The emulator accepts the "owner" token, which bypasses security rules
+ */
+class DailyWordsStore {
+    constructor({ baseUrl, projectId, token }) {
+        this.documentsUrl = `${baseUrl}/v1/projects/${projectId}/databases/(default)/documents`;
+        this.token = token;
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                Authorization: `Bearer ${this.token}`,
+                'Content-Type': 'application/json'
+            }
+        });
+        if (!response.ok) {
+            const body = await response.text();
+            throw new Error(`Firestore request failed (${response.status}): ${body.slice(0, 300)}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Dates that already have a document
+     * @returns {Promise<Set<string>>}
+     */
+    async listDates() {
+        const dates = new Set();
+        let pageToken = '';
+        do {
+            const query = `pageSize=${PAGE_SIZE}&mask.fieldPaths=words${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+            const page = await this.request(`${this.documentsUrl}/${COLLECTION}?${query}`);
+            (page.documents || []).forEach(doc => dates.add(doc.name.split('/').pop()));
+            pageToken = page.nextPageToken || '';
+        } while (pageToken);
+        return dates;
+    }
+
+    /**
+     * Write the words for a date (replaces the whole document)
+     */
+    async write(date, words) {
+        const body = {
+            fields: {
+                words: { arrayValue: { values: words.map(word => ({ stringValue: word })) } }
+            }
+        };
+        await this.request(`${this.documentsUrl}/${COLLECTION}/${date}`, {
+            method: 'PATCH',
+            body: JSON.stringify(body)
+        });
+    }
+}
+
+/**
+ * Read the project ID from firebase-config.js
+ */
+function readProjectId() {
+    const { firebaseConfig } = loadGameScripts(['firebase-config.js'], ['firebaseConfig']);
+    return firebaseConfig.projectId;
+}
+
+/**
+ * Check a schedule document against the rules the game and firestore.rules apply
+ * @returns {{words: string[]|null, problem: string|null}}
+ */
+function validateDocument(date, doc, PuzzleProvider) {
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+        return { words: null, problem: 'not a YYYY-MM-DD date' };
+    }
+    if (!doc || !Array.isArray(doc.words)) {
+        return { words: null, problem: 'missing words list' };
+    }
+
+    const words = PuzzleProvider.validateWords(doc.words);
+    if (!words) {
+        return { words: null, problem: 'no valid words' };
+    }
+    // The game would silently drop or change these, so they must be fixed in the source
+    if (words.length !== doc.words.length || words.some((word, i) => word !== doc.words[i])) {
+        return { words: null, problem: 'words must be 3-15 uppercase letters, unique and at most 20' };
+    }
+    return { words, problem: null };
+}
+
+/**
+ * Dates in the coming days with no puzzle
+ */
+function findGaps(scheduled, days) {
+    const gaps = [];
+    const day = new Date();
+    day.setUTCHours(0, 0, 0, 0);
+    for (let i = 0; i < days; i++) {
+        const date = day.toISOString().slice(0, 10);
+        if (!scheduled.has(date)) {
+            gaps.push(date);
+        }
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+    return gaps;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    if (values.help || positionals.length !== 1) {
+        const usage = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(usage.replace(/^ \* ?/gm, '').trim());
+        if (!values.help) process.exitCode = 1;
+        return;
+    }
+
+    const gapDays = Number(values['gap-days']);
+    if (!Number.isInteger(gapDays) || gapDays < 0) {
+        throw new Error('--gap-days must be a whole number');
+    }
+
+    const projectId = values.project || readProjectId();
+    let target;
+    if (values.production) {
+        if (values.emulator) {
+            throw new Error('Use either --production or --emulator');
+        }
+        if (!process.env.FIRESTORE_TOKEN) {
+            throw new Error('--production needs an access token in $FIRESTORE_TOKEN');
+        }
+        target = { baseUrl: 'https://firestore.googleapis.com', projectId, token: process.env.FIRESTORE_TOKEN };
+        console.log(`Target: production project ${projectId}`);
+    } else {
+        const host = values.emulator || process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080';
+        target = { baseUrl: `http://${host}`, projectId, token: 'owner' };
+        console.log(`Target: emulator at ${host} (project ${projectId})`);
+    }
+
+    const { PuzzleProvider } = loadGameScripts(['puzzle-providers.js'], ['PuzzleProvider']);
+    const schedule = JSON.parse(fs.readFileSync(path.resolve(positionals[0]), 'utf8'));
+    const store = new DailyWordsStore(target);
+    const existing = await store.listDates();
+
+    const summary = { written: 0, skipped: 0, invalid: 0 };
+    for (const date of Object.keys(schedule).sort()) {
+        const { words, problem } = validateDocument(date, schedule[date], PuzzleProvider);
+        if (problem) {
+            summary.invalid++;
+            console.warn(`${date}: invalid, ${problem}`);
+            continue;
+        }
+        if (existing.has(date) && !values.overwrite) {
+            summary.skipped++;
+            console.log(`${date}: exists, skipped`);
+            continue;
+        }
+
+        if (!values['dry-run']) {
+            await store.write(date, words);
+        }
+        existing.add(date);
+        summary.written++;
+        console.log(`${date}: ${values['dry-run'] ? 'would write' : 'written'} (${words.join(', ')})`);
+    }
+
+    console.log(`${summary.written} ${values['dry-run'] ? 'to write' : 'written'}, ${summary.skipped} skipped, ${summary.invalid} invalid`);
+
+    const gaps = findGaps(existing, gapDays);
+    if (gaps.length > 0) {
+        console.warn(`Missing puzzles in the next ${gapDays} days (${gaps.length}): ${gaps.join(', ')}`);
+    } else if (gapDays > 0) {
+        console.log(`No gaps in the next ${gapDays} days`);
+    }
+
+    if (summary.invalid > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
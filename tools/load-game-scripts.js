@@ -0,0 +1,56 @@
+/**
+ * Load the game's browser scripts in Node
+ * Runs the scripts unchanged in one shared context, like script tags on a page, so the
+ * tools use the same dictionary, grid generator and analyzer as the game
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Minimal fetch for the scripts: reads files relative to the repository root
+ * @param {Object<string, string>} files - Overrides, e.g. { 'common-words.txt': '/path/to/list.txt' }
+ */
+function createFileFetch(files) {
+    return async (url) => {
+        const file = files[url] || path.join(ROOT, url);
+        try {
+            const data = await fs.promises.readFile(file);
+            return {
+                ok: true,
+                status: 200,
+                text: async () => data.toString('utf8'),
+                arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+            };
+        } catch (error) {
+            return { ok: false, status: 404, text: async () => '', arrayBuffer: async () => new ArrayBuffer(0) };
+        }
+    };
+}
+
+/**
+ * Run game scripts and return their globals
+ * @param {string[]} scripts - Script files in page order, e.g. ['packed-dictionary.js', 'dictionary.js']
+ * @param {string[]} names - Globals to return, e.g. ['dictionary', 'gridSolver']
+ * @param {Object} [options] - { files: fetch overrides, console: console for the scripts }
+ * @returns {Object} The requested globals by name
+ */
+function loadGameScripts(scripts, names, options = {}) {
+    const context = vm.createContext({
+        console: options.console || console,
+        fetch: createFileFetch(options.files || {}),
+        btoa,
+        atob
+    });
+
+    for (const script of scripts) {
+        const file = path.join(ROOT, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { ROOT, loadGameScripts };
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Local development server
+ * Serves the game on this machine only and adds the Firebase emulators (ports from
+ * firebase.json) to each page's Content Security Policy, so game.html?emulator can reach them.
+ * The pages themselves only allow the production Firebase hosts.
+ *
+ * Usage:
+ *   firebase emulators:start --only auth,firestore
+ *   node tools/serve-dev.js
+ *   open http://localhost:5000/game.html?emulator
+ *
+ * Options:
+ *   --port    Port to serve on (default 5000)
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ROOT } = require('./load-game-scripts');
+
+const OPTIONS = {
+    port: { type: 'string', default: '5000' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.bin': 'application/octet-stream',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+function main() {
+    const { values } = parseArgs({ options: OPTIONS });
+    if (values.help) {
+        const usage = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(usage.replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Invalid --port ${values.port}`);
+    }
+
+    const emulatorHosts = getEmulatorHosts();
+    const server = http.createServer((request, response) => serveFile(request, response, emulatorHosts));
+    // Loopback only: the widened policy must never be served to anyone else
+    server.listen(port, '127.0.0.1', () => {
+        console.error(`Serving ${ROOT} on http://localhost:${port}/ (emulators allowed: ${emulatorHosts.join(' ')})`);
+    });
+}
+
+/**
+ * Emulator origins from firebase.json, on both local host names
+ * @returns {string[]}
+ */
+function getEmulatorHosts() {
+    const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'firebase.json'), 'utf8'));
+    const ports = Object.values(config.emulators || {})
+        .map(emulator => emulator.port)
+        .filter(Number.isInteger);
+    return ports.flatMap(port => [`http://localhost:${port}`, `http://127.0.0.1:${port}`]);
+}
+
+/**
+ * Add origins to the connect-src of a page's CSP meta tag
+ */
+function allowEmulators(html, emulatorHosts) {
+    return html.replace(/(<meta http-equiv="Content-Security-Policy" content="[^"]*connect-src [^;"]*)/,
+        `$1 ${emulatorHosts.join(' ')}`);
+}
+
+function serveFile(request, response, emulatorHosts) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400).end();
+        return;
+    }
+    if (pathname.endsWith('/')) {
+        pathname += 'index.html';
+    }
+
+    const file = path.join(ROOT, pathname);
+    if (!file.startsWith(ROOT + path.sep)) {
+        response.writeHead(403).end();
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404).end();
+            return;
+        }
+        const extension = path.extname(file);
+        const body = extension === '.html' ? allowEmulators(data.toString('utf8'), emulatorHosts) : data;
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        response.end(body);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}